@@ -2,7 +2,7 @@
 // ES6 & jQuery Basics Demo - Task Manager
 // Topics Covered:
 // 1. DOM Manipulation (jQuery & Native DOM)
-// 2. Event Handling (Click, Keypress, Change, Delegation)
+// 2. Event Handling (Click, Keydown, Change, Delegation)
 // 3. Forms (Input, Validation, Reset)
 // 4. localStorage (CRUD operations, Error handling)
 // ==========================================
@@ -17,16 +17,89 @@ let tasks = [];
 
 // Different data types
 let taskId = 0;
-const MAX_TASKS = 100;
+const MAX_TASKS = 5000;
 const STORAGE_KEY = 'tasksData';
 const SETTINGS_KEY = 'appSettings';
+const HISTORY_KEY = 'tasksHistory';
+const HISTORY_LIMIT = 50;
+// Named lists: { lists: [{ id, name }], currentListId }. Each list keeps its
+// tasks under `${STORAGE_KEY}:<id>` and its history under `${HISTORY_KEY}:<id>`.
+const LISTS_KEY = 'taskLists';
+const DEFAULT_LIST_ID = 'default';
+let lists = [];
+let currentListId = DEFAULT_LIST_ID;
 let currentFilter = 'all';
+// Tag filter combined with currentFilter (null = any tag)
+let currentTagFilter = null;
+// Free-text search query from #searchInput ('' = no search)
+let currentSearch = '';
+// Undo/redo stacks of { label, changes } entries. changes holds
+// [id, fingerprint] of each task the action touched, as it was before
+// (fingerprint null = the task did not exist yet).
+let undoStack = [];
+let redoStack = [];
+// { label, before } recorded by recordHistory, turned into an entry by saveTasks
+let pendingHistory = null;
+// id of the task currently shown in the inline editor (null = none)
+let editingTaskId = null;
+// id of the task being dragged in #taskList (null = none)
+let draggingTaskId = null;
+// Multi-select mode: selected task ids, and the last clicked one for shift-click ranges
+let selectMode = false;
+const selectedTaskIds = new Set();
+let selectionAnchorId = null;
+// > 0 while runBatch() is running: history and saving wait for the end of the batch
+let batchDepth = 0;
+// ids of tasks whose subtask list is expanded (view state, not persisted)
+const expandedTaskIds = new Set();
+// id of the row that keyboard shortcuts act on (null = first row)
+let focusedTaskId = null;
+
+// Schema for the settings stored under SETTINGS_KEY.
+// number: integer between min and max; boolean: true/false; enum: one of options();
+// url: an http(s) address or ''.
+// Settings without a label are not shown in the settings panel.
+const SETTINGS_SCHEMA = {
+    maxTasks: { type: 'number', default: MAX_TASKS, min: 1, max: 10000, label: 'Maximum tasks' },
+    minTextLength: { type: 'number', default: 3, min: 1, max: 50, label: 'Minimum task length (chars)' },
+    maxTextLength: { type: 'number', default: 200, min: 10, max: 1000, label: 'Maximum task length (chars)' },
+    toastDuration: { type: 'number', default: 3500, min: 1000, max: 30000, label: 'Toast duration (ms)' },
+    timerInterval: { type: 'number', default: 1000, min: 250, max: 10000, label: 'Timer check interval (ms)' },
+    // minutes before a due date to show a reminder toast (0 = off)
+    reminderLeadMinutes: { type: 'number', default: 15, min: 0, max: 10080, label: 'Due date reminder (min before, 0 = off)' },
+    // Pomodoro cycle used when a task switches to Pomodoro mode
+    pomodoroWorkMinutes: { type: 'number', default: 25, min: 1, max: 180, label: 'Pomodoro work interval (min)' },
+    pomodoroBreakMinutes: { type: 'number', default: 5, min: 1, max: 60, label: 'Pomodoro break interval (min)' },
+    pomodoroTarget: { type: 'number', default: 4, min: 1, max: 20, label: 'Pomodoros per task' },
+    // timer alerts: desktop notifications (asks for permission), a chime, and
+    // a heads-up some minutes before a timer ends (0 = off)
+    notificationsEnabled: { type: 'boolean', default: false, label: 'Desktop notifications for timers' },
+    soundEnabled: { type: 'boolean', default: false, label: 'Play a chime when a timer ends' },
+    timerWarningMinutes: { type: 'number', default: 1, min: 0, max: 120, label: 'Warn before a timer ends (min, 0 = off)' },
+    // how many tasks the Focus view shows at most
+    focusTaskCount: { type: 'number', default: 5, min: 1, max: 50, label: 'Tasks in the Focus view' },
+    // complete a task automatically once all of its subtasks are checked
+    autoCompleteParent: { type: 'boolean', default: true, label: 'Complete task when all subtasks are done' },
+    // REST server to sync tasks with ('' = keep them on this device only)
+    syncUrl: { type: 'url', default: '', label: 'Sync server URL (empty = this device only)' },
+    // list order, chosen with the sort dropdown
+    sortMode: { type: 'enum', default: 'manual', options: () => Object.keys(SORT_MODES) }
+};
+
+// Default values taken from the schema
+const DEFAULT_SETTINGS = Object.freeze(
+    Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default]))
+);
+
+// User settings stored under SETTINGS_KEY
+let settings = { ...DEFAULT_SETTINGS };
 
 
 // ========== DATA STRUCTURES ==========
 
 // Object - represents a single task
-const createTask = (text, timerSeconds = 0) => ({
+// Optional extras are destructured with defaults: { dueAt, tags, recurrence }
+const createTask = (text, timerSeconds = 0, { dueAt = null, tags = [], recurrence = null, priority = DEFAULT_PRIORITY } = {}) => ({
     id: ++taskId,
     text: text,
     completed: false,
@@ -38,142 +111,1533 @@ const createTask = (text, timerSeconds = 0) => ({
     // timerEnd: timestamp (ms) when timer should expire, null if not running
     timerEnd: timerSeconds > 0 ? Date.now() + timerSeconds * 1000 : null,
     // incomplete: becomes true when timer expires while task is not completed
-    incomplete: false
+    incomplete: false,
+    // dueAt: calendar deadline as a timestamp (ms), null if none
+    dueAt: dueAt,
+    // reminderSent / overdueNotified: due-date toasts already shown
+    reminderSent: false,
+    overdueNotified: false,
+    // tags: lowercase labels without the leading '#'
+    tags: tags,
+    // position: manual sort order, new tasks go to the end
+    position: tasks.reduce((max, t) => Math.max(max, t.position), -1) + 1,
+    // subtasks: checklist items { id, text, completed }
+    subtasks: [],
+    // pomodoro: null, or the work/break cycle running on the timer fields
+    // { workMinutes, breakMinutes, target, count, phase: 'work' | 'break' }
+    pomodoro: null,
+    // sessions: timer log entries { type, at } (see SESSION_TYPES);
+    // a timer set at creation starts right away
+    sessions: timerSeconds > 0 ? [{ type: 'start', at: Date.now() }] : [],
+    // completedAt: timestamp (ms) of the latest completion, null while open
+    completedAt: null,
+    // recurrence: null or a repeat rule (see RECURRENCE_TYPES)
+    recurrence: recurrence,
+    // seriesId: id of the first task of a recurring series (null = this task)
+    seriesId: null,
+    // priority: 1 (most important) to 4, see PRIORITIES
+    priority: priority
+});
+
+// ========== TAGS ==========
+
+// A #hashtag token: letters, digits, '_' or '-' after '#', at a word start
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Lowercase, de-duplicated list of tag strings
+const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) return [];
+    const clean = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.replace(/^#/, '').trim().toLowerCase())
+        .filter(tag => tag !== '');
+    return [...new Set(clean)];
+};
+
+// Pull #hashtag tokens out of task text
+// "Fix login #backend #urgent" -> { text: 'Fix login', tags: ['backend', 'urgent'] }
+const extractTags = (rawText) => {
+    const tags = [];
+    const text = rawText.replace(TAG_PATTERN, (match, space, tag) => {
+        tags.push(tag);
+        return space;
+    });
+    return { text: text.replace(/\s+/g, ' ').trim(), tags: normalizeTags(tags) };
+};
+
+// Every tag in use, sorted alphabetically
+const getAllTags = () => [...new Set(tasks.flatMap(task => task.tags))].sort();
+
+// ========== PRIORITIES ==========
+
+// Priority levels, 1 = most important. New tasks default to the lowest.
+const PRIORITIES = {
+    1: { label: 'P1', name: 'Urgent' },
+    2: { label: 'P2', name: 'High' },
+    3: { label: 'P3', name: 'Medium' },
+    4: { label: 'P4', name: 'Low' }
+};
+const DEFAULT_PRIORITY = 4;
+
+// Click on the priority badge: one level up, from P1 back to P4
+const cyclePriority = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    recordHistory('Change priority');
+    task.priority = task.priority === 1 ? DEFAULT_PRIORITY : task.priority - 1;
+    saveTasks();
+};
+
+// Focus view: running timers first, then open tasks by priority, then by
+// due date (soonest first) and manual order - capped at settings.focusTaskCount
+const getFocusTasks = (list) => {
+    const open = list.filter(task => !task.completed && !task.incomplete);
+    const running = open.filter(task => task.timerEnd);
+    const rest = open
+        .filter(task => !task.timerEnd)
+        .sort((a, b) => a.priority - b.priority ||
+            (a.dueAt || Infinity) - (b.dueAt || Infinity) ||
+            a.position - b.position);
+    return [...running, ...rest].slice(0, settings.focusTaskCount);
+};
+
+// Normalize a stored task record, filling fields that older items may not have
+// index: the record's place in the stored array, used when it has no position
+const normalizeTask = (t, index = 0) => ({
+    id: t.id,
+    text: t.text,
+    completed: !!t.completed,
+    createdAt: t.createdAt ? new Date(t.createdAt) : new Date(),
+    timerSeconds: t.timerSeconds || 0,
+    timerRemainingSeconds: typeof t.timerRemainingSeconds !== 'undefined' ? t.timerRemainingSeconds : (t.timerSeconds || 0),
+    timerEnd: t.timerEnd || null,
+    incomplete: !!t.incomplete,
+    dueAt: t.dueAt ? new Date(t.dueAt).getTime() || null : null,
+    reminderSent: !!t.reminderSent,
+    overdueNotified: !!t.overdueNotified,
+    tags: normalizeTags(t.tags),
+    position: Number.isFinite(t.position) ? t.position : index,
+    subtasks: normalizeSubtasks(t.subtasks),
+    pomodoro: normalizePomodoro(t.pomodoro),
+    sessions: normalizeSessions(t.sessions),
+    completedAt: normalizeCompletedAt(t),
+    recurrence: normalizeRecurrence(t.recurrence),
+    seriesId: Number.isFinite(t.seriesId) ? t.seriesId : null,
+    priority: normalizePriority(t.priority)
+});
+
+// A stored priority, or the default when missing or out of range
+function normalizePriority(value) {
+    const priority = Number(value);
+    return PRIORITIES[priority] ? priority : DEFAULT_PRIORITY;
+}
+
+// A stored repeat rule, or null when missing or malformed
+function normalizeRecurrence(rule) {
+    if (!rule || !RECURRENCE_TYPES.includes(rule.type)) return null;
+    if (rule.type === 'weekly') {
+        const days = Array.isArray(rule.days)
+            ? [...new Set(rule.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+            : [];
+        return days.length > 0 ? { type: 'weekly', days } : null;
+    }
+    if (rule.type === 'interval') {
+        const interval = parseInt(rule.interval, 10);
+        return interval >= 1 ? { type: 'interval', interval } : null;
+    }
+    return { type: rule.type };
+}
+
+// Completion time for a stored task. Records from before completedAt existed
+// fall back to the last 'complete' entry in the session log.
+function normalizeCompletedAt(t) {
+    if (!t.completed) return null;
+    const time = t.completedAt ? new Date(t.completedAt).getTime() : NaN;
+    if (!isNaN(time)) return time;
+    const completions = normalizeSessions(t.sessions).filter(entry => entry.type === 'complete');
+    return completions.length > 0 ? completions[completions.length - 1].at : null;
+}
+
+// A stored Pomodoro cycle, or null when missing or malformed
+function normalizePomodoro(pomodoro) {
+    if (!pomodoro || typeof pomodoro !== 'object') return null;
+    const workMinutes = parseInt(pomodoro.workMinutes, 10);
+    const breakMinutes = parseInt(pomodoro.breakMinutes, 10);
+    const target = parseInt(pomodoro.target, 10);
+    if (!(workMinutes > 0 && breakMinutes > 0 && target > 0)) return null;
+    return {
+        workMinutes,
+        breakMinutes,
+        target,
+        count: Math.min(target, parseInt(pomodoro.count, 10) || 0),
+        phase: pomodoro.phase === 'break' ? 'break' : 'work'
+    };
+}
+
+// Session log entries with a known type and a numeric timestamp, oldest first
+function normalizeSessions(sessions) {
+    if (!Array.isArray(sessions)) return [];
+    return sessions
+        .filter(entry => entry && SESSION_TYPES.includes(entry.type) && Number.isFinite(entry.at))
+        .map(entry => ({ type: entry.type, at: entry.at }))
+        .sort((a, b) => a.at - b.at);
+}
+
+// Subtasks keep their id, text and done flag; ids are filled in when missing
+function normalizeSubtasks(subtasks) {
+    if (!Array.isArray(subtasks)) return [];
+    return subtasks
+        .filter(sub => sub && typeof sub.text === 'string')
+        .map((sub, i) => ({
+            id: Number.isFinite(sub.id) ? sub.id : i + 1,
+            text: sub.text,
+            completed: !!sub.completed
+        }));
+}
+
+// Keep the array in manual order and the position fields gap-free
+const sortByPosition = (list) => list
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map((t, i) => ({ ...t, position: i }));
+
+// ========== STORAGE ADAPTERS ==========
+
+// Every adapter offers the same synchronous interface for string records:
+//   name             shown in the debug panel
+//   get(key)         -> string, or null when missing
+//   set(key, value)
+//   remove(key)
+//   keys()           -> every key it holds
+// taskStore holds tasks and undo history (see isTaskStoreKey). Settings, lists
+// and the timer lead are small and always use localStorageAdapter.
+const DB_NAME = 'taskManager';
+const DB_VERSION = 1;
+const DB_STORE = 'records';
+// IndexedDB writes fire no storage event, so tabs announce them here
+const SYNC_CHANNEL = 'taskManagerSync';
+
+let taskDb = null;
+const storeCache = new Map();
+let syncChannel = null;
+
+// Records kept in taskStore: tasksData / tasksHistory and their per-list keys
+const isTaskStoreKey = (key) => [STORAGE_KEY, HISTORY_KEY]
+    .some(prefix => key === prefix || key.startsWith(`${prefix}:`));
+
+// Topic: localStorage - the plain adapter; set() throws when storage is full
+const localStorageAdapter = {
+    name: 'localStorage',
+    get: (key) => localStorage.getItem(key),
+    set: (key, value) => localStorage.setItem(key, value),
+    remove: (key) => localStorage.removeItem(key),
+    keys: () => {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+};
+
+// Write one record to IndexedDB in the background (null = delete)
+const writeToIndexedDb = (key, value) => {
+    const tx = taskDb.transaction(DB_STORE, 'readwrite');
+    if (value === null) {
+        tx.objectStore(DB_STORE).delete(key);
+    } else {
+        tx.objectStore(DB_STORE).put(value, key);
+    }
+    tx.oncomplete = () => {
+        if (syncChannel) syncChannel.postMessage({ key });
+    };
+    tx.onabort = () => {
+        console.error('Error writing to IndexedDB:', tx.error);
+        alert('Failed to save tasks. Storage might be full.');
+    };
+};
+
+// IndexedDB has far more room than localStorage. openTaskStore() loads every
+// record into storeCache, so reads stay synchronous; writes update the cache
+// at once and reach IndexedDB in the background.
+const indexedDbAdapter = {
+    name: 'IndexedDB',
+    get: (key) => storeCache.has(key) ? storeCache.get(key) : null,
+    set: (key, value) => {
+        storeCache.set(key, value);
+        writeToIndexedDb(key, value);
+    },
+    remove: (key) => {
+        storeCache.delete(key);
+        writeToIndexedDb(key, null);
+    },
+    keys: () => [...storeCache.keys()]
+};
+
+// Where task records are kept on this device: IndexedDB once openTaskStore()
+// succeeds, localStorage otherwise
+let localTaskStore = localStorageAdapter;
+// Adapter the app uses for task records: localTaskStore, or restAdapter
+// (which wraps it) when a sync server is set
+let taskStore = localTaskStore;
+
+// Adapter responsible for a key
+const storeFor = (key) => isTaskStoreKey(key) ? taskStore : localStorageAdapter;
+
+// One-time move of task records out of localStorage. The localStorage copies
+// are removed only after the IndexedDB transaction has committed.
+const migrateToIndexedDb = (db) => new Promise((resolve, reject) => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (isTaskStoreKey(key)) keys.push(key);
+    }
+    if (keys.length === 0) {
+        resolve();
+        return;
+    }
+    const tx = db.transaction(DB_STORE, 'readwrite');
+    keys.forEach(key => tx.objectStore(DB_STORE).put(localStorage.getItem(key), key));
+    tx.oncomplete = () => {
+        keys.forEach(key => localStorage.removeItem(key));
+        console.log(`📦 Moved ${keys.join(', ')} from localStorage to IndexedDB`);
+        resolve();
+    };
+    tx.onabort = () => reject(tx.error);
+});
+
+// Fill storeCache with every record
+const readAllRecords = (db) => new Promise((resolve, reject) => {
+    const request = db.transaction(DB_STORE).objectStore(DB_STORE).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            storeCache.set(cursor.key, cursor.value);
+            cursor.continue();
+        } else {
+            resolve();
+        }
+    };
+    request.onerror = () => reject(request.error);
+});
+
+// Re-read one record another tab has written
+const refreshRecord = (key) => new Promise((resolve, reject) => {
+    const request = taskDb.transaction(DB_STORE).objectStore(DB_STORE).get(key);
+    request.onsuccess = () => {
+        if (request.result === undefined) {
+            storeCache.delete(key);
+        } else {
+            storeCache.set(key, request.result);
+        }
+        resolve();
+    };
+    request.onerror = () => reject(request.error);
+});
+
+// Topic: Event Handling - BroadcastChannel messages from other tabs
+const openSyncChannel = () => {
+    if (typeof BroadcastChannel === 'undefined') return;
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+    syncChannel.onmessage = (event) => {
+        const key = event.data && event.data.key;
+        if (typeof key !== 'string') return;
+        refreshRecord(key)
+            .then(() => handleStorageChange({ key }))
+            .catch(error => console.error('Error syncing record:', error));
+    };
+};
+
+// Open the database, migrate, and load the cache. Always resolves: without
+// IndexedDB (old browsers, some private modes) taskStore uses localStorage.
+const openTaskStore = () => new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB not available - storing tasks in localStorage');
+        resolve();
+        return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onerror = () => {
+        console.error('Error opening IndexedDB:', request.error);
+        resolve();
+    };
+    request.onsuccess = () => {
+        const db = request.result;
+        // let another tab delete or upgrade the database
+        db.onversionchange = () => db.close();
+        migrateToIndexedDb(db)
+            .then(() => readAllRecords(db))
+            .then(() => {
+                taskDb = db;
+                localTaskStore = indexedDbAdapter;
+                taskStore = localTaskStore;
+                openSyncChannel();
+                console.log(`✓ Opened IndexedDB with ${storeCache.size} records`);
+            })
+            .catch(error => {
+                console.error('Error preparing IndexedDB - storing tasks in localStorage:', error);
+                storeCache.clear();
+            })
+            .then(resolve);
+    };
 });
 
+// ========== REST SYNC ==========
+
+// With settings.syncUrl set, taskStore becomes restAdapter: records still go
+// to localTaskStore first (so the app works offline), and every change to a
+// task list is turned into requests on the server's /tasks resource:
+//   GET    /tasks?list=<listId>           -> { tasks: [...] }
+//   POST   /tasks?list=<listId>           body { task, changedAt }
+//   PATCH  /tasks/<id>?list=<listId>      body { fields, changedAt }
+//   DELETE /tasks/<id>?list=<listId>      body { changedAt }
+// Requests wait in SYNC_QUEUE_KEY until the server answers; network errors
+// and 5xx responses are retried with a growing delay.
+// changedAt is the time of the change on the server's clock. The server
+// keeps the newer of its copy and the change: an older change gets
+// 409 { task } back (task null = deleted there), and that copy replaces ours.
+// A change the server refuses (400/422) is undone the same way.
+const SYNC_QUEUE_KEY = 'syncQueue';
+// Server the local tasks were last uploaded to
+const SYNC_SERVER_KEY = 'syncServer';
+// listId -> ids of the tasks the server is known to have. A pull removes
+// only these; other local tasks missing on the server are uploaded again.
+const SYNC_ACKED_KEY = 'syncAcked';
+const SYNC_PULL_INTERVAL = 30000;
+const SYNC_RETRY_MIN = 2000;
+const SYNC_RETRY_MAX = 60000;
+
+let syncBaseUrl = '';
+let syncInFlight = false;
+let syncRetryDelay = 0;
+let syncRetryTimeout = null;
+let syncPullInterval = null;
+// server clock minus local clock, from the X-Server-Time response header
+let serverClockOffset = 0;
+// last request failed because the server could not be reached
+let syncOffline = false;
+
+const serverNow = () => Date.now() + serverClockOffset;
+
+// List id of a tasks record key, or null for other records
+const listIdFromTaskKey = (key) => key.startsWith(`${STORAGE_KEY}:`) ? key.slice(STORAGE_KEY.length + 1) : null;
+
+const loadSyncQueue = () => {
+    try {
+        const queue = JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY) || '[]');
+        return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+        console.error('Error loading sync queue:', error);
+        return [];
+    }
+};
+
+const saveSyncQueue = (queue) => {
+    try {
+        localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+        console.error('Error saving sync queue:', error);
+    }
+    updateSyncStatus();
+};
+
+const loadSyncAcked = () => {
+    try {
+        const acked = JSON.parse(localStorage.getItem(SYNC_ACKED_KEY) || '{}');
+        return acked && typeof acked === 'object' && !Array.isArray(acked) ? acked : {};
+    } catch (error) {
+        console.error('Error loading synced task ids:', error);
+        return {};
+    }
+};
+
+// Record that the server has (acked = true) or no longer has these tasks of a list
+const setSyncAcked = (listId, taskIds, acked = true) => {
+    const all = loadSyncAcked();
+    const ids = new Set(all[listId] || []);
+    taskIds.forEach(id => (acked ? ids.add(id) : ids.delete(id)));
+    all[listId] = [...ids];
+    try {
+        localStorage.setItem(SYNC_ACKED_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.error('Error saving synced task ids:', error);
+    }
+};
+
+// Compare two versions of a list and queue a request per added, changed or removed task
+const queueTaskChanges = (listId, beforeJson, afterJson) => {
+    const before = new Map((beforeJson ? JSON.parse(beforeJson) : []).map(t => [t.id, t]));
+    const after = afterJson ? JSON.parse(afterJson) : [];
+    const changedAt = serverNow();
+    const ops = [];
+    const nextOpId = () => `${changedAt.toString(36)}-${ops.length}-${Math.random().toString(36).slice(2, 6)}`;
+
+    after.forEach(task => {
+        const old = before.get(task.id);
+        before.delete(task.id);
+        if (!old) {
+            ops.push({ opId: nextOpId(), method: 'POST', listId, taskId: task.id, body: { task, changedAt } });
+            return;
+        }
+        const fields = {};
+        Object.keys(task).forEach(field => {
+            if (JSON.stringify(task[field]) !== JSON.stringify(old[field])) fields[field] = task[field];
+        });
+        if (Object.keys(fields).length > 0) {
+            ops.push({ opId: nextOpId(), method: 'PATCH', listId, taskId: task.id, body: { fields, changedAt } });
+        }
+    });
+    before.forEach(task => {
+        ops.push({ opId: nextOpId(), method: 'DELETE', listId, taskId: task.id, body: { changedAt } });
+    });
+
+    if (ops.length > 0) {
+        saveSyncQueue([...loadSyncQueue(), ...ops]);
+        flushSyncQueue();
+    }
+};
+
+// Local adapter plus a request queue for task lists; undo history stays local
+const restAdapter = {
+    name: 'REST sync',
+    get: (key) => localTaskStore.get(key),
+    set: (key, value) => {
+        const listId = listIdFromTaskKey(key);
+        if (listId !== null) queueTaskChanges(listId, localTaskStore.get(key), value);
+        localTaskStore.set(key, value);
+    },
+    remove: (key) => {
+        const listId = listIdFromTaskKey(key);
+        if (listId !== null) queueTaskChanges(listId, localTaskStore.get(key), null);
+        localTaskStore.remove(key);
+    },
+    keys: () => localTaskStore.keys()
+};
+
+// Topic: Fetch API - one request to the sync server.
+// Resolves with { status, data }; rejects when the server cannot be reached
+// or answers 5xx, so the caller retries.
+const syncRequest = (method, path, body = null) => {
+    const sentAt = Date.now();
+    return fetch(`${syncBaseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    }).then(response => {
+        const serverTime = Number(response.headers.get('X-Server-Time'));
+        if (serverTime) {
+            serverClockOffset = serverTime - Math.round((sentAt + Date.now()) / 2);
+        }
+        if (response.status >= 500) {
+            throw new Error(`Server error ${response.status}`);
+        }
+        return response.text().then(text => ({ status: response.status, data: text ? JSON.parse(text) : null }));
+    });
+};
+
+// Write one task (null = remove it) into a stored list without queueing a
+// request, and refresh the page when that list is open
+const applyServerTask = (listId, taskId, task) => {
+    const key = taskStorageKey(listId);
+    const list = JSON.parse(localTaskStore.get(key) || '[]').filter(t => t.id !== taskId);
+    if (task) list.push(normalizeTask(task));
+    localTaskStore.set(key, JSON.stringify(sortByPosition(list)));
+    if (listId === currentListId) handleStorageChange({ key });
+};
+
+// Two devices created a task with the same id: ours moves to a free id and is sent again
+const renumberLocalTask = (op) => {
+    const key = taskStorageKey(op.listId);
+    const list = JSON.parse(localTaskStore.get(key) || '[]');
+    const task = list.find(t => t.id === op.taskId);
+    if (!task) return;
+    task.id = Math.max(...list.map(t => t.id)) + 1;
+    localTaskStore.set(key, JSON.stringify(list));
+    saveSyncQueue([...loadSyncQueue(), { ...op, opId: `${op.opId}-r`, taskId: task.id, body: { ...op.body, task } }]);
+    if (op.listId === currentListId) handleStorageChange({ key });
+};
+
+// The server's copy of one task (null when it has none)
+const fetchServerTask = (listId, taskId) => syncRequest('GET', `/tasks?list=${encodeURIComponent(listId)}`)
+    .then(({ status, data }) => {
+        if (status !== 200 || !data || !Array.isArray(data.tasks)) throw new Error(`Unexpected answer ${status}`);
+        return data.tasks.find(t => t.id === taskId) || null;
+    });
+
+// React to the server's answer to a queued request
+const handleSyncResponse = (op, { status, data }) => {
+    if (status < 300) {
+        setSyncAcked(op.listId, [op.taskId], op.method !== 'DELETE');
+    } else if (status === 409 && data && data.reason === 'id-taken') {
+        renumberLocalTask(op);
+    } else if (status === 409) {
+        // the server's copy is newer than our change
+        const local = JSON.parse(localTaskStore.get(taskStorageKey(op.listId)) || '[]').find(t => t.id === op.taskId);
+        const task = data ? data.task : null;
+        applyServerTask(op.listId, op.taskId, task);
+        setSyncAcked(op.listId, [op.taskId], Boolean(task));
+        if (local) {
+            showToast(`Changed on the server meanwhile, took the server version: ${local.text}`);
+        }
+    } else if (status === 400 || status === 422) {
+        // the server refused the change: go back to its copy
+        const local = JSON.parse(localTaskStore.get(taskStorageKey(op.listId)) || '[]').find(t => t.id === op.taskId);
+        console.error(`Sync ${op.method} task ${op.taskId} rejected with ${status}:`, data);
+        fetchServerTask(op.listId, op.taskId)
+            .then(task => {
+                applyServerTask(op.listId, op.taskId, task);
+                setSyncAcked(op.listId, [op.taskId], Boolean(task));
+                if (local) {
+                    showToast(`The server refused a change, ${task ? 'took the server version' : 'removed it here'}: ${local.text}`);
+                }
+            })
+            .catch(error => console.error('Error fetching the server copy:', error));
+    } else if (status === 404 && op.method === 'DELETE') {
+        setSyncAcked(op.listId, [op.taskId], false);
+    } else if (status === 404 && op.method === 'PATCH') {
+        // deleted on the server before our (newer) edit: send the whole task again
+        const task = JSON.parse(localTaskStore.get(taskStorageKey(op.listId)) || '[]').find(t => t.id === op.taskId);
+        if (task) {
+            saveSyncQueue([...loadSyncQueue(), { ...op, opId: `${op.opId}-p`, method: 'POST', body: { task, changedAt: op.body.changedAt } }]);
+        }
+    } else if (status >= 400) {
+        console.error(`Sync ${op.method} task ${op.taskId} rejected with ${status}:`, data);
+    }
+};
+
+// Send queued requests one at a time, oldest first
+const flushSyncQueue = () => {
+    if (!syncBaseUrl || syncInFlight || syncRetryTimeout) return;
+    const [op] = loadSyncQueue();
+    if (!op) {
+        updateSyncStatus();
+        return;
+    }
+    syncInFlight = true;
+    const list = `?list=${encodeURIComponent(op.listId)}`;
+    const path = op.method === 'POST' ? `/tasks${list}` : `/tasks/${op.taskId}${list}`;
+    syncRequest(op.method, path, op.body)
+        .then(response => {
+            syncInFlight = false;
+            syncOffline = false;
+            syncRetryDelay = 0;
+            // drop it by id - other tabs may have added to the queue meanwhile
+            saveSyncQueue(loadSyncQueue().filter(queued => queued.opId !== op.opId));
+            handleSyncResponse(op, response);
+            flushSyncQueue();
+        })
+        .catch(error => {
+            syncInFlight = false;
+            syncOffline = true;
+            syncRetryDelay = Math.min(SYNC_RETRY_MAX, Math.max(SYNC_RETRY_MIN, syncRetryDelay * 2));
+            console.error(`Sync failed, retrying in ${syncRetryDelay / 1000}s:`, error);
+            syncRetryTimeout = setTimeout(() => {
+                syncRetryTimeout = null;
+                flushSyncQueue();
+            }, syncRetryDelay);
+            updateSyncStatus();
+        });
+};
+
+// Fetch a list from the server and take its version of every task that has
+// no request waiting in the queue. Local tasks the server never had are
+// kept and uploaded; ones it had before the request are taken as deleted.
+const pullTasks = (listId = currentListId) => {
+    if (!syncBaseUrl) return Promise.resolve();
+    // tasks acked while the request runs may be missing from its answer
+    const ackedBefore = new Set(loadSyncAcked()[listId] || []);
+    return syncRequest('GET', `/tasks?list=${encodeURIComponent(listId)}`)
+        .then(({ status, data }) => {
+            if (status !== 200 || !data || !Array.isArray(data.tasks)) return;
+            syncOffline = false;
+            const pending = new Set(loadSyncQueue().filter(op => op.listId === listId).map(op => op.taskId));
+            const onServer = new Set(data.tasks.map(t => t.id));
+            const key = taskStorageKey(listId);
+            const local = JSON.parse(localTaskStore.get(key) || '[]');
+            const missing = local.filter(t => !pending.has(t.id) && !onServer.has(t.id));
+            const ackedNow = new Set(loadSyncAcked()[listId] || []);
+            let deleted = missing.filter(t => ackedBefore.has(t.id));
+            // acked while the request ran: already on the server, the next pull sees them
+            let upload = missing.filter(t => !ackedBefore.has(t.id) && !ackedNow.has(t.id));
+            if (data.tasks.length === 0 && deleted.length > 0 && deleted.length === local.length) {
+                // an empty server (e.g. restarted without its data) would empty the whole list
+                const name = (lists.find(l => l.id === listId) || { name: listId }).name;
+                if (!confirm(`The server has no tasks in "${name}". Remove the ${deleted.length} task${deleted.length === 1 ? '' : 's'} here too? Cancel uploads them again.`)) {
+                    upload = deleted;
+                    deleted = [];
+                }
+            }
+            setSyncAcked(listId, deleted.map(t => t.id), false);
+            setSyncAcked(listId, [...onServer]);
+            const deletedIds = new Set(deleted.map(t => t.id));
+            const merged = [
+                ...data.tasks.filter(t => !pending.has(t.id)),
+                ...local.filter(t => pending.has(t.id) || (missing.includes(t) && !deletedIds.has(t.id)))
+            ].map(normalizeTask);
+            if (upload.length > 0) {
+                queueTaskChanges(listId, null, JSON.stringify(upload));
+            }
+            const json = JSON.stringify(sortByPosition(merged));
+            if (json !== localTaskStore.get(key)) {
+                localTaskStore.set(key, json);
+                if (listId === currentListId) handleStorageChange({ key });
+            }
+            updateSyncStatus();
+        })
+        .catch(error => {
+            syncOffline = true;
+            console.error('Error pulling tasks:', error);
+            updateSyncStatus();
+        });
+};
+
+// Switch task storage to match settings.syncUrl
+const configureSync = () => {
+    if (settings.syncUrl === syncBaseUrl) return;
+    syncBaseUrl = settings.syncUrl;
+    clearInterval(syncPullInterval);
+    clearTimeout(syncRetryTimeout);
+    syncRetryTimeout = null;
+    syncRetryDelay = 0;
+    if (!syncBaseUrl) {
+        // requests for the old server are of no use anymore
+        saveSyncQueue([]);
+        localStorage.removeItem(SYNC_SERVER_KEY);
+        localStorage.removeItem(SYNC_ACKED_KEY);
+        taskStore = localTaskStore;
+        updateSyncStatus();
+        return;
+    }
+    taskStore = restAdapter;
+    if (localStorage.getItem(SYNC_SERVER_KEY) !== syncBaseUrl) {
+        // first sync with this server: upload every local task, so the pull
+        // below does not mistake them for tasks deleted on the server
+        saveSyncQueue([]);
+        localStorage.removeItem(SYNC_ACKED_KEY);
+        lists.forEach(list => queueTaskChanges(list.id, null, localTaskStore.get(taskStorageKey(list.id))));
+        localStorage.setItem(SYNC_SERVER_KEY, syncBaseUrl);
+    }
+    syncPullInterval = setInterval(() => pullTasks(), SYNC_PULL_INTERVAL);
+    flushSyncQueue();
+    pullTasks();
+};
+
+// Topic: DOM Manipulation - sync state next to the stats
+const updateSyncStatus = () => {
+    const $status = $('#syncStatus');
+    if (!syncBaseUrl) {
+        $status.prop('hidden', true);
+        return;
+    }
+    const waiting = loadSyncQueue().length;
+    let text = '☁️ Synced';
+    if (syncOffline) {
+        text = `⚠️ Server unreachable${waiting > 0 ? ` - ${waiting} change${waiting === 1 ? '' : 's'} waiting` : ''}`;
+    } else if (waiting > 0) {
+        text = `☁️ Syncing ${waiting} change${waiting === 1 ? '' : 's'}…`;
+    }
+    $status.text(text).toggleClass('offline', syncOffline).prop('hidden', false);
+};
+
 // ========== LOCALSTORAGE EXAMPLES ==========
 
+// Storage keys of one list
+const taskStorageKey = (listId) => `${STORAGE_KEY}:${listId}`;
+const historyStorageKey = (listId) => `${HISTORY_KEY}:${listId}`;
+
+// Before named lists, tasks and history lived directly under STORAGE_KEY and
+// HISTORY_KEY. Copy them into the default list; the old key is removed only
+// once the copy reads back identical.
+const migrateLegacyStorage = () => {
+    [[STORAGE_KEY, taskStorageKey], [HISTORY_KEY, historyStorageKey]].forEach(([legacyKey, toKey]) => {
+        const legacy = taskStore.get(legacyKey);
+        if (legacy === null) return;
+        const target = toKey(DEFAULT_LIST_ID);
+        if (taskStore.get(target) === null) {
+            taskStore.set(target, legacy);
+        }
+        if (taskStore.get(target) === legacy) {
+            taskStore.remove(legacyKey);
+            console.log(`📦 Moved ${legacyKey} into the default list`);
+        }
+    });
+    // the migrated data needs a list to show up in
+    if (taskStore.get(taskStorageKey(DEFAULT_LIST_ID)) !== null && !lists.some(l => l.id === DEFAULT_LIST_ID)) {
+        lists.unshift({ id: DEFAULT_LIST_ID, name: 'My Tasks' });
+        saveLists();
+    }
+};
+
 // Topic: localStorage - Retrieve data
+// Loads the tasks of the current list
 const loadTasks = () => {
+    tasks = [];
+    taskId = 0;
+    rememberSynced(null);
     try {
-        // localStorage.getItem() - Retrieve value by key
-        const stored = localStorage.getItem(STORAGE_KEY);
+        migrateLegacyStorage();
+        // taskStore.get() - Retrieve value by key (IndexedDB, or localStorage as fallback)
+        const stored = taskStore.get(taskStorageKey(currentListId));
         
         if (stored) {
             // Parse JSON string back to object
             tasks = JSON.parse(stored);
             // Normalize older items that may not have timer fields
-            tasks = tasks.map(t => ({
-                id: t.id,
-                text: t.text,
-                completed: !!t.completed,
-                createdAt: t.createdAt ? new Date(t.createdAt) : new Date(),
-                timerSeconds: t.timerSeconds || 0,
-                timerRemainingSeconds: typeof t.timerRemainingSeconds !== 'undefined' ? t.timerRemainingSeconds : (t.timerSeconds || 0),
-                timerEnd: t.timerEnd || null,
-                incomplete: !!t.incomplete
-            }));
+            tasks = sortByPosition(tasks.map(normalizeTask));
             
             // Find the highest ID to continue from there
             if (tasks.length > 0) {
                 taskId = Math.max(...tasks.map(t => t.id));
             }
-            console.log(`✓ Loaded ${tasks.length} tasks from localStorage`);
+            rememberSynced(stored, tasks);
+            console.log(`✓ Loaded ${tasks.length} tasks from storage`);
         } else {
-            console.log('📝 No tasks found in localStorage - starting fresh');
+            console.log('📝 No tasks found in storage - starting fresh');
         }
     } catch (error) {
         console.error('Error loading tasks:', error);
         tasks = [];
     }
+    reconcileTimers();
+};
+
+// Timers that ran out while no tab was open are expired at their real end
+// time right away, in every list, instead of on the next tick. Left to the
+// tab holding the timer lead, which already handles them while it is open.
+const reconcileTimers = () => {
+    const now = Date.now();
+    if (!claimTimerLead(now)) return;
+    const { changed, missed } = expireTimers(now);
+    if (changed) {
+        saveTasks();
+    }
+    addAwayExpired(missed.concat(checkOtherLists(now)));
 };
 
 // Topic: localStorage - Store data
+// Merges with changes other tabs saved since this tab last read the list
 const saveTasks = () => {
+    // a batch writes once, when it is done
+    if (batchDepth > 0) return;
     try {
-        // localStorage.setItem() - Store key-value pair as JSON
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
-        console.log(`💾 Saved ${tasks.length} tasks to localStorage`);
+        const key = taskStorageKey(currentListId);
+        const stored = taskStore.get(key);
+        if (stored !== null && stored !== lastSyncedJson) {
+            tasks = mergeWithStored(JSON.parse(stored).map(normalizeTask));
+        }
+        // taskStore.set() - Store key-value pair as JSON
+        const json = JSON.stringify(tasks);
+        taskStore.set(key, json);
+        rememberSynced(json, tasks);
+        commitHistory();
+        console.log(`💾 Saved ${tasks.length} tasks to storage`);
     } catch (error) {
+        pendingHistory = null;
         console.error('Error saving tasks:', error);
         alert('Failed to save tasks. Storage might be full.');
     }
 };
 
+// Older versions stored whole-list snapshots ({ label, snapshot }); those are dropped
+const isHistoryEntry = (entry) => !!entry && Array.isArray(entry.changes);
+
+// Topic: localStorage - Store undo/redo history next to the tasks
+const saveHistory = () => {
+    try {
+        taskStore.set(historyStorageKey(currentListId), JSON.stringify({ undo: undoStack, redo: redoStack }));
+    } catch (error) {
+        // History is a convenience - drop the oldest entries rather than failing the action
+        console.error('Error saving history:', error);
+        undoStack = undoStack.slice(-10);
+        redoStack = [];
+    }
+    updateHistoryButtons();
+};
+
+// Topic: localStorage - Retrieve undo/redo history of the current list
+const loadHistory = () => {
+    undoStack = [];
+    redoStack = [];
+    try {
+        const stored = taskStore.get(historyStorageKey(currentListId));
+        if (stored) {
+            const history = JSON.parse(stored);
+            undoStack = Array.isArray(history.undo) ? history.undo.filter(isHistoryEntry) : [];
+            redoStack = Array.isArray(history.redo) ? history.redo.filter(isHistoryEntry) : [];
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+        undoStack = [];
+        redoStack = [];
+    }
+};
+
+// Topic: localStorage - Retrieve the named lists
+const loadLists = () => {
+    try {
+        const stored = localStorage.getItem(LISTS_KEY);
+        if (stored) {
+            const data = JSON.parse(stored);
+            lists = (Array.isArray(data.lists) ? data.lists : [])
+                .filter(l => l && typeof l.id === 'string' && typeof l.name === 'string')
+                .map(l => ({ id: l.id, name: l.name }));
+            currentListId = data.currentListId;
+        }
+    } catch (error) {
+        console.error('Error loading lists:', error);
+        lists = [];
+    }
+    if (lists.length === 0) {
+        lists = [{ id: DEFAULT_LIST_ID, name: 'My Tasks' }];
+    }
+    if (!lists.some(l => l.id === currentListId)) {
+        currentListId = lists[0].id;
+    }
+};
+
+// Topic: localStorage - Store the named lists
+const saveLists = () => {
+    try {
+        localStorage.setItem(LISTS_KEY, JSON.stringify({ lists, currentListId }));
+    } catch (error) {
+        console.error('Error saving lists:', error);
+    }
+};
+
+// Check raw settings against SETTINGS_SCHEMA.
+// Returns { values, errors }: values has every key (defaults replace missing
+// or invalid entries), errors maps a key to its message. Unknown keys are dropped.
+const validateSettings = (raw) => {
+    const values = { ...DEFAULT_SETTINGS };
+    const errors = {};
+    const source = raw && typeof raw === 'object' ? raw : {};
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+        if (typeof source[key] === 'undefined') return;
+        const value = source[key];
+        if (rule.type === 'number') {
+            const number = Number(value);
+            if (value === '' || !Number.isInteger(number) || number < rule.min || number > rule.max) {
+                errors[key] = `Must be a whole number from ${rule.min} to ${rule.max}`;
+                return;
+            }
+            values[key] = number;
+        } else if (rule.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                errors[key] = 'Must be true or false';
+                return;
+            }
+            values[key] = value;
+        } else if (rule.type === 'url') {
+            const url = String(value).trim();
+            if (url !== '' && !/^https?:\/\/[^\s/]+/i.test(url)) {
+                errors[key] = 'Must be an http:// or https:// address, or empty';
+                return;
+            }
+            // paths are appended to it, so no trailing slash
+            values[key] = url.replace(/\/+$/, '');
+        } else if (rule.type === 'enum') {
+            if (!rule.options().includes(value)) {
+                errors[key] = `Must be one of: ${rule.options().join(', ')}`;
+                return;
+            }
+            values[key] = value;
+        }
+    });
+
+    // Cross-field rule: the length limits must not cross
+    if (!errors.minTextLength && !errors.maxTextLength && values.minTextLength > values.maxTextLength) {
+        errors.maxTextLength = 'Must be at least the minimum length';
+        values.minTextLength = DEFAULT_SETTINGS.minTextLength;
+        values.maxTextLength = DEFAULT_SETTINGS.maxTextLength;
+    }
+
+    return { values, errors };
+};
+
+// Topic: localStorage - Retrieve settings, validated against the schema
+const loadSettings = () => {
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        const { values, errors } = validateSettings(stored ? JSON.parse(stored) : {});
+        settings = values;
+        if (Object.keys(errors).length > 0) {
+            console.warn('Invalid settings replaced with defaults:', errors);
+        }
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        settings = { ...DEFAULT_SETTINGS };
+    }
+};
+
+// Topic: localStorage - Store settings
+const saveSettings = () => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+};
+
 // Topic: localStorage - Get all storage info
 const getStorageInfo = () => {
-    console.log('📊 localStorage Info:');
-    console.log(`- Total keys: ${localStorage.length}`);
-    
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        const value = localStorage.getItem(key);
-        console.log(`  ${key}: ${value.substring(0, 50)}...`);
-    }
+    const adapters = taskStore === localStorageAdapter ? [localStorageAdapter] : [localStorageAdapter, taskStore];
+    adapters.forEach(adapter => {
+        const keys = adapter.keys().filter(key => storeFor(key) === adapter);
+        console.log(`📊 ${adapter.name} Info:`);
+        console.log(`- Total keys: ${keys.length}`);
+        keys.forEach(key => {
+            const value = adapter.get(key);
+            console.log(`  ${key}: ${value.substring(0, 50)}...`);
+        });
+    });
 };
 
 // Topic: localStorage - Check if key exists
-const hasStorageKey = (key) => localStorage.getItem(key) !== null;
+const hasStorageKey = (key) => storeFor(key).get(key) !== null;
 
 // Topic: localStorage - Remove specific item
 const removeFromStorage = (key) => {
-    localStorage.removeItem(key);
-    console.log(`🗑️ Removed ${key} from localStorage`);
+    const adapter = storeFor(key);
+    adapter.remove(key);
+    console.log(`🗑️ Removed ${key} from ${adapter.name}`);
 };
 
-// Topic: localStorage - Clear all data
+// Topic: localStorage - Clear all data (tasks in IndexedDB included)
 const clearAllStorage = () => {
     if (confirm('Clear ALL stored data? This cannot be undone.')) {
         localStorage.clear();
         console.log('🔄 All localStorage data cleared');
-        location.reload();
+        if (!taskDb) {
+            location.reload();
+            return;
+        }
+        taskDb.close();
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = request.onerror = request.onblocked = () => location.reload();
     }
 };
 
 
-// ========== ARRAY OPERATIONS ==========
+// ========== UNDO / REDO HISTORY ==========
 
-// Topic: Forms - Validation
-// Add task to array with comprehensive validation
-const addTask = (text) => {
-    // Trim whitespace from form input
-    const trimmedText = text.trim();
-    
-    // Validation 1: Check if input is empty
-    if (trimmedText === '') {
-        showFormError('taskInput', 'Task cannot be empty!');
-        return false;
-    }
-    
-    // Validation 2: Check minimum length
-    if (trimmedText.length < 3) {
-        showFormError('taskInput', 'Task must be at least 3 characters!');
-        return false;
-    }
-    
-    // Validation 3: Check maximum length
-    if (trimmedText.length > 200) {
-        showFormError('taskInput', 'Task cannot exceed 200 characters!');
-        return false;
+// Record the current tasks before a mutation so it can be undone.
+// Call it after the mutation's guards, right before tasks change; the
+// entry is made by the saveTasks() that follows, from the tasks that changed.
+const recordHistory = (label) => {
+    // a batch records one entry for all of its changes
+    if (batchDepth > 0) return;
+    pendingHistory = { label, before: new Map(tasks.map(t => [t.id, taskFingerprint(t)])) };
+};
+
+// Turn the recorded action into an undo entry holding only the tasks it
+// touched - whole-list copies do not fit in storage for long lists
+const commitHistory = () => {
+    if (!pendingHistory) return;
+    const { label, before } = pendingHistory;
+    pendingHistory = null;
+    // syncedTasks: fingerprints of the tasks just saved
+    const changes = [];
+    syncedTasks.forEach((fingerprint, id) => {
+        if (before.get(id) !== fingerprint) changes.push([id, before.has(id) ? before.get(id) : null]);
+    });
+    before.forEach((fingerprint, id) => {
+        if (!syncedTasks.has(id)) changes.push([id, fingerprint]);
+    });
+    if (changes.length === 0) return;
+    undoStack.push({ label, changes });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
     }
-    
-    // Validation 4: Check task limit
-    if (tasks.length >= MAX_TASKS) {
-        alert(`Maximum ${MAX_TASKS} tasks allowed!`);
-        return false;
+    // a new action invalidates anything that was undone
+    redoStack = [];
+    saveHistory();
+};
+
+// Put the tasks of a history entry back as they were
+const restoreChanges = (changes) => {
+    const restored = new Map(changes);
+    const back = [...restored.values()].filter(Boolean).map(fingerprint => normalizeTask(JSON.parse(fingerprint)));
+    // restored tasks first, so they win a tie with a task that took their position
+    tasks = sortByPosition([...back, ...tasks.filter(t => !restored.has(t.id))]);
+    // never hand out an id again, even if the task holding it was undone
+    if (tasks.length > 0) {
+        taskId = Math.max(taskId, ...tasks.map(t => t.id));
     }
-    
-    // Validation 5: Check for duplicate tasks
-    if (tasks.some(task => task.text.toLowerCase() === trimmedText.toLowerCase())) {
-        showFormError('taskInput', 'Task already exists!');
-        return false;
+    saveTasks();
+};
+
+// Move one entry from `from` to `to`, swapping its tasks with the current ones
+const stepHistory = (from, to) => {
+    const entry = from.pop();
+    if (!entry) return null;
+    const current = new Map(tasks.map(t => [t.id, t]));
+    to.push({
+        label: entry.label,
+        changes: entry.changes.map(([id]) => [id, current.has(id) ? taskFingerprint(current.get(id)) : null])
+    });
+    restoreChanges(entry.changes);
+    saveHistory();
+    return entry.label;
+};
+
+// Undo the last mutation; returns its label or null when there is nothing to undo
+const undo = () => stepHistory(undoStack, redoStack);
+
+// Redo the last undone mutation; returns its label or null
+const redo = () => stepHistory(redoStack, undoStack);
+
+// ========== CROSS-TAB SYNC ==========
+
+// Identifies this tab in the timer lead
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+// { tabId, expires } of the one tab that expires timers and sends reminders
+// for all lists
+const TIMER_LEAD_KEY = 'timerLead';
+
+// The list JSON as this tab last read or wrote it, and each task in it by id.
+// saveTasks compares against these to find what changed here and elsewhere.
+let lastSyncedJson = null;
+let syncedTasks = new Map();
+// number of tasks in lastSyncedJson
+let storedTaskCount = 0;
+
+// Comparable form of a task, independent of key order
+const taskFingerprint = (task) => JSON.stringify(normalizeTask(task));
+
+const rememberSynced = (json, list = []) => {
+    lastSyncedJson = json;
+    syncedTasks = new Map(list.map(t => [t.id, taskFingerprint(t)]));
+    storedTaskCount = list.length;
+};
+
+// Three-way merge of this tab's tasks with the stored list, per task:
+// - changed on one side only: that side's version
+// - changed on both sides: this tab's version, with a toast naming the task
+// - deleted on one side and unchanged on the other: deleted
+// - deleted on one side and changed on the other: kept
+// - added on both sides with the same id: both kept, ours gets a new id
+const mergeWithStored = (stored) => {
+    const local = new Map(tasks.map(t => [t.id, t]));
+    const merged = [];
+    const conflicts = [];
+
+    stored.forEach(theirs => {
+        const base = syncedTasks.get(theirs.id);
+        const mine = local.get(theirs.id);
+        const theirsJson = taskFingerprint(theirs);
+        if (!mine) {
+            // new in another tab, or deleted here but edited there
+            if (base === undefined || base !== theirsJson) merged.push(theirs);
+            return;
+        }
+        if (base === undefined) {
+            // both tabs added a task with this id - ours is re-added below
+            merged.push(theirs);
+            return;
+        }
+        local.delete(theirs.id);
+        const mineJson = taskFingerprint(mine);
+        if (mineJson === base || mineJson === theirsJson) {
+            merged.push(theirs);
+        } else {
+            if (theirsJson !== base) conflicts.push(mine.text);
+            merged.push(mine);
+        }
+    });
+
+    // left over: added here, or deleted elsewhere
+    local.forEach(mine => {
+        const base = syncedTasks.get(mine.id);
+        if (base !== undefined && taskFingerprint(mine) === base) return;
+        if (base !== undefined) conflicts.push(mine.text);
+        merged.push(mine);
+    });
+
+    // give colliding ids a fresh one
+    taskId = Math.max(taskId, ...merged.map(t => t.id));
+    const seen = new Set();
+    merged.forEach(t => {
+        if (seen.has(t.id)) t.id = ++taskId;
+        seen.add(t.id);
+    });
+
+    if (conflicts.length > 0) {
+        showToast(`Also changed in another tab, kept this tab's version: ${conflicts.join(', ')}`);
+    }
+    return sortByPosition(merged);
+};
+
+// Take or renew the timer lead. The lead lapses after
+// a few missed ticks, so a closed or frozen tab hands it over.
+// Returns true when this tab holds it.
+const claimTimerLead = (now = Date.now()) => {
+    try {
+        const lead = JSON.parse(localStorage.getItem(TIMER_LEAD_KEY) || 'null');
+        if (lead && lead.tabId !== TAB_ID && lead.expires > now) return false;
+        localStorage.setItem(TIMER_LEAD_KEY, JSON.stringify({ tabId: TAB_ID, expires: now + settings.timerInterval * 3 }));
+        // another tab may have written in between - the stored value decides
+        return JSON.parse(localStorage.getItem(TIMER_LEAD_KEY)).tabId === TAB_ID;
+    } catch (error) {
+        console.error('Error claiming timer lead:', error);
+        return true;
+    }
+};
+
+// Let another tab take over right away when this one closes
+const releaseTimerLead = () => {
+    try {
+        const lead = JSON.parse(localStorage.getItem(TIMER_LEAD_KEY) || 'null');
+        if (lead && lead.tabId === TAB_ID) localStorage.removeItem(TIMER_LEAD_KEY);
+    } catch (error) {
+        console.error('Error releasing timer lead:', error);
+    }
+};
+
+// Topic: Event Handling - storage event (fired by changes made in other tabs)
+const handleStorageChange = (event) => {
+    if (event.key === null) {
+        // localStorage.clear() in another tab
+        window.location.reload();
+        return;
+    }
+    if (event.key === taskStorageKey(currentListId)) {
+        const editingBefore = editingTaskId !== null && syncedTasks.get(editingTaskId);
+        loadTasks();
+        if (editingTaskId !== null) {
+            const editing = tasks.find(t => t.id === editingTaskId);
+            if (!editing) {
+                editingTaskId = null;
+                showToast('The task you were editing was deleted in another tab');
+            } else if (taskFingerprint(editing) !== editingBefore) {
+                showToast('The task you are editing was changed in another tab');
+            }
+        }
+        if (draggingTaskId === null) {
+            renderTaskList();
+        }
+        updateStats();
+        updateStorageStats();
+    } else if (event.key === historyStorageKey(currentListId)) {
+        loadHistory();
+        updateHistoryButtons();
+    } else if (event.key === LISTS_KEY) {
+        // keep showing this tab's list unless it was deleted
+        const ownListId = currentListId;
+        loadLists();
+        if (lists.some(l => l.id === ownListId)) {
+            currentListId = ownListId;
+        } else {
+            loadTasks();
+            loadHistory();
+            editingTaskId = null;
+            showToast('This list was deleted in another tab');
+        }
+        refreshAfterListChange();
+    } else if (event.key === AWAY_KEY) {
+        loadAwayExpired();
+        renderAwaySummary();
+    } else if (event.key === SETTINGS_KEY) {
+        loadSettings();
+        renderSettingsForm();
+        applySettings();
+    }
+};
+
+// ========== NAMED LISTS ==========
+
+const getCurrentList = () => lists.find(l => l.id === currentListId);
+
+// Returns an error message, or null when the name is valid.
+// excludeId skips the list being renamed in the duplicate check.
+const validateListName = (name, excludeId = null) => {
+    if (name === '') return 'List name cannot be empty!';
+    if (name.length > 40) return 'List name cannot exceed 40 characters!';
+    if (lists.some(l => l.id !== excludeId && l.name.toLowerCase() === name.toLowerCase())) {
+        return 'A list with this name already exists!';
+    }
+    return null;
+};
+
+// Make the list current: its tasks, history and a clean view state
+const switchList = (id) => {
+    if (id === currentListId || !lists.some(l => l.id === id)) return false;
+    currentListId = id;
+    saveLists();
+    loadTasks();
+    loadHistory();
+    pullTasks();
+    editingTaskId = null;
+    expandedTaskIds.clear();
+    currentTagFilter = null;
+    return true;
+};
+
+// Add a list and switch to it; returns an error message or null
+const createList = (name) => {
+    const trimmedName = name.trim();
+    const error = validateListName(trimmedName);
+    if (error) return error;
+    let id = `list-${Date.now().toString(36)}`;
+    while (lists.some(l => l.id === id)) id += 'x';
+    lists.push({ id, name: trimmedName });
+    saveLists();
+    switchList(id);
+    return null;
+};
+
+// Returns an error message or null
+const renameList = (id, name) => {
+    const list = lists.find(l => l.id === id);
+    if (!list) return 'List not found!';
+    const trimmedName = name.trim();
+    const error = validateListName(trimmedName, id);
+    if (error) return error;
+    list.name = trimmedName;
+    saveLists();
+    return null;
+};
+
+// Delete a list with its tasks and history; the last list cannot be deleted
+const deleteList = (id) => {
+    if (lists.length <= 1 || !lists.some(l => l.id === id)) return false;
+    archiveTasks(readListTasks(id), id);
+    lists = lists.filter(l => l.id !== id);
+    taskStore.remove(taskStorageKey(id));
+    taskStore.remove(historyStorageKey(id));
+    if (id === currentListId) {
+        // switchList ignores the current id, so point away from it first
+        currentListId = null;
+        switchList(lists[0].id);
+    } else {
+        saveLists();
+    }
+    return true;
+};
+
+// Tasks of any list: the in-memory ones for the current list, otherwise
+// read from storage (parsed again only when the stored JSON changed)
+const storedListCache = new Map();
+const readListTasks = (listId) => {
+    if (listId === currentListId) return tasks;
+    const json = taskStore.get(taskStorageKey(listId));
+    if (!json) return [];
+    const cached = storedListCache.get(listId);
+    if (cached && cached.json === json) return cached.tasks;
+    try {
+        const listTasks = JSON.parse(json).map(normalizeTask);
+        storedListCache.set(listId, { json, tasks: listTasks });
+        return listTasks;
+    } catch (error) {
+        console.error('Error reading list:', error);
+        return [];
+    }
+};
+
+// Write back the tasks of a list that is not on screen
+const saveListTasks = (listId, listTasks) => {
+    const json = JSON.stringify(listTasks);
+    try {
+        taskStore.set(taskStorageKey(listId), json);
+        storedListCache.set(listId, { json, tasks: listTasks });
+    } catch (error) {
+        console.error('Error saving list:', error);
+    }
+};
+
+// " (Work)" after a message about a task outside the current list
+const otherListSuffix = (listId) => {
+    const list = listId === currentListId ? null : lists.find(l => l.id === listId);
+    return list ? ` (${list.name})` : '';
+};
+
+// Move a task to another list. The task gets a fresh id and goes to the end
+// of that list; a recurring task starts its own series there. Both lists get
+// an undo entry. Returns an error message or null.
+const moveTaskToList = (id, targetListId) => {
+    const task = tasks.find(t => t.id === id);
+    const targetList = lists.find(l => l.id === targetListId);
+    if (!task || !targetList || targetListId === currentListId) return 'Task or list not found!';
+
+    let target;
+    let targetHistory;
+    try {
+        target = JSON.parse(taskStore.get(taskStorageKey(targetListId)) || '[]').map(normalizeTask);
+        targetHistory = JSON.parse(taskStore.get(historyStorageKey(targetListId)) || '{}');
+    } catch (error) {
+        console.error('Error reading list:', error);
+        return `Could not read "${targetList.name}"!`;
+    }
+    if (target.length >= settings.maxTasks) {
+        return `"${targetList.name}" already has the maximum of ${settings.maxTasks} tasks!`;
+    }
+    if (target.some(t => t.text.toLowerCase() === task.text.toLowerCase())) {
+        return `"${targetList.name}" already has this task!`;
+    }
+
+    const moved = {
+        ...task,
+        id: target.length > 0 ? Math.max(...target.map(t => t.id)) + 1 : 1,
+        position: target.length,
+        seriesId: null
+    };
+    const undoEntries = Array.isArray(targetHistory.undo) ? targetHistory.undo.filter(isHistoryEntry) : [];
+    undoEntries.push({ label: 'Move task here', changes: [[moved.id, null]] });
+    try {
+        taskStore.set(taskStorageKey(targetListId), JSON.stringify([...target, moved]));
+        taskStore.set(historyStorageKey(targetListId), JSON.stringify({ undo: undoEntries.slice(-HISTORY_LIMIT), redo: [] }));
+    } catch (error) {
+        console.error('Error saving list:', error);
+        return 'Failed to move task. Storage might be full.';
+    }
+
+    recordHistory('Move to list');
+    tasks = tasks.filter(t => t.id !== id);
+    saveTasks();
+    return null;
+};
+
+// ========== ARRAY OPERATIONS ==========
+
+// Topic: Forms - Validation
+// Shared text checks for addTask and editTask.
+// Returns an error message, or null when the text is valid.
+// excludeId skips the task being edited in the duplicate check.
+const validateTaskText = (trimmedText, excludeId = null) => {
+    // Validation 1: Check if input is empty
+    if (trimmedText === '') {
+        return 'Task cannot be empty!';
+    }
+    
+    // Validation 2: Check minimum length
+    if (trimmedText.length < settings.minTextLength) {
+        return `Task must be at least ${settings.minTextLength} characters!`;
+    }
+    
+    // Validation 3: Check maximum length
+    if (trimmedText.length > settings.maxTextLength) {
+        return `Task cannot exceed ${settings.maxTextLength} characters!`;
+    }
+    
+    // Validation 4: Check for duplicate tasks
+    // (other instances of the edited task's recurring series don't count)
+    const excluded = excludeId === null ? null : tasks.find(task => task.id === excludeId);
+    const seriesId = excluded && excluded.recurrence ? getSeriesId(excluded) : null;
+    if (tasks.some(task => task.id !== excludeId &&
+            !(seriesId !== null && getSeriesId(task) === seriesId) &&
+            task.text.toLowerCase() === trimmedText.toLowerCase())) {
+        return 'Task already exists!';
+    }
+    
+    return null;
+};
+
+// Add task to array with comprehensive validation
+const addTask = (text) => {
+    // Take quick-add syntax (#tags, 25m, tomorrow 3pm, !high, every monday)
+    // out of the text, which also trims whitespace
+    const parsed = parseQuickAdd(text);
+    const { text: trimmedText, tags } = parsed;
+    
+    // Validation 1-4: empty, min/max length and duplicates
+    const error = validateTaskText(trimmedText);
+    if (error) {
+        showFormError('taskInput', error);
+        return false;
+    }
+    
+    // Validation 5: Check task limit
+    if (tasks.length >= settings.maxTasks) {
+        alert(`Maximum ${settings.maxTasks} tasks allowed!`);
+        return false;
     }
     
     // Add task to array
+    // Values typed into the text win over the separate form fields.
     // Read timer minutes input (user-set). Convert minutes to seconds.
     const minutes = parseInt($('#taskTimer').val(), 10) || 0;
-    const seconds = minutes > 0 ? minutes * 60 : 0;
+    const seconds = parsed.timerSeconds || (minutes > 0 ? minutes * 60 : 0);
+    // Optional due date from the datetime-local input
+    const dueAt = parsed.dueAt || parseDueInput($('#taskDue').val());
+    // Optional repeat rule
+    const { rule, error: recurrenceError } = parsed.recurrence ? { rule: parsed.recurrence } : readRecurrenceInput();
+    if (recurrenceError) {
+        showFormError('taskInput', recurrenceError);
+        return false;
+    }
+    const recurrence = rule;
 
-    tasks.push(createTask(trimmedText, seconds));
+    const priority = parsed.priority || normalizePriority($('#taskPriority').val());
+
+    recordHistory('Add task');
+    tasks.push(createTask(trimmedText, seconds, { dueAt, tags, recurrence, priority }));
     saveTasks();
     clearFormError('taskInput');
-    // clear timer input after adding
+    // clear timer, due and repeat inputs after adding
     $('#taskTimer').val('');
+    $('#taskDue').val('');
+    $('#taskRecurrence').val('');
+    $('#taskPriority').val(DEFAULT_PRIORITY);
+    $('#recurrenceWeekdays input').prop('checked', false);
+    updateRecurrenceInputs();
+    $('#quickAddPreview').empty().prop('hidden', true);
+    return true;
+};
+
+// Update a task's text (with #tags), timer duration (minutes) and due date from the inline editor
+const editTask = (id, text, minutes, dueAt = null, priority = null) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return false;
+
+    // the editor shows tags as #hashtags after the text
+    const { text: trimmedText, tags } = extractTags(text);
+    const error = validateTaskText(trimmedText, id);
+    if (error) {
+        showFormError(`editText-${id}`, error);
+        return false;
+    }
+
+    recordHistory('Edit task');
+    task.text = trimmedText;
+    task.tags = tags;
+
+    // Only touch timer state when the duration actually changed
+    // (Pomodoro tasks take their durations from the cycle instead)
+    const seconds = minutes > 0 ? minutes * 60 : 0;
+    if (!task.pomodoro && seconds !== task.timerSeconds) {
+        const wasRunning = !!task.timerEnd;
+        task.timerSeconds = seconds;
+        task.timerRemainingSeconds = task.completed ? 0 : seconds;
+        // a running timer restarts with the new duration
+        task.timerEnd = wasRunning && seconds > 0 ? Date.now() + seconds * 1000 : null;
+        task.incomplete = false;
+        if (wasRunning) {
+            logTimerEvent(task, 'reset');
+            if (task.timerEnd) logTimerEvent(task, 'start');
+        }
+    }
+
+    // A new due date gets fresh reminders
+    if (dueAt !== task.dueAt) {
+        task.dueAt = dueAt;
+        task.reminderSent = false;
+        task.overdueNotified = false;
+    }
+
+    // null keeps the current priority
+    if (priority !== null) {
+        task.priority = normalizePriority(priority);
+    }
+
+    saveTasks();
     return true;
 };
 
 // Delete task from array
 const deleteTask = (id) => {
+    recordHistory('Delete task');
+    archiveTasks(tasks.filter(task => task.id === id));
     tasks = tasks.filter(task => task.id !== id);
     saveTasks();
 };
@@ -182,385 +1646,2745 @@ const deleteTask = (id) => {
 const toggleTask = (id) => {
     const task = tasks.find(task => task.id === id);
     if (task) {
-        task.completed = !task.completed;
-        // If user completes a task, clear incomplete flag
+        recordHistory(task.completed ? 'Uncomplete task' : 'Complete task');
         if (task.completed) {
-            task.incomplete = false;
-            task.timerEnd = null;
-            // restore remaining to 0 when completed
-            task.timerRemainingSeconds = 0;
+            task.completed = false;
+            task.completedAt = null;
+        } else {
+            markCompleted(task);
+            // recurring tasks queue up their next instance
+            spawnNextOccurrence(task);
         }
         saveTasks();
     }
 };
 
-// Clear completed tasks
-const clearCompleted = () => {
-    tasks = tasks.filter(task => !task.completed);
-    saveTasks();
+// Mark a task done: clear the incomplete flag and stop its timer
+const markCompleted = (task) => {
+    const now = Date.now();
+    logTimerEvent(task, 'complete', now);
+    task.completed = true;
+    task.completedAt = now;
+    task.incomplete = false;
+    task.timerEnd = null;
+    // restore remaining to 0 when completed
+    task.timerRemainingSeconds = 0;
 };
 
-// Filter tasks based on status
-const getFilteredTasks = () => {
-    if (currentFilter === 'completed') {
-        return tasks.filter(task => task.completed);
-    } else if (currentFilter === 'active') {
-        // Active should exclude tasks that are marked incomplete by timer expiry
-        return tasks.filter(task => !task.completed && !task.incomplete);
-    } else if (currentFilter === 'incomplete') {
-        return tasks.filter(task => task.incomplete === true);
-    }
-    return tasks;
-};
+// ========== RECURRING TASKS ==========
 
-// Start a task's timer
-const startTimer = (id) => {
-    const task = tasks.find(t => t.id === id);
-    if (!task || task.completed || task.incomplete) return;
-    // if already running, do nothing
-    if (task.timerEnd) return;
-    // if remaining is 0 but original duration exists, reset remaining
-    if (!task.timerRemainingSeconds && task.timerSeconds) {
-        task.timerRemainingSeconds = task.timerSeconds;
-    }
-    if (task.timerRemainingSeconds > 0) {
-        task.timerEnd = Date.now() + task.timerRemainingSeconds * 1000;
-        saveTasks();
-    }
-};
+// Repeat rules:
+//   { type: 'daily' }                  every day
+//   { type: 'weekdays' }               Monday to Friday
+//   { type: 'weekly', days: [1, 3] }   on the given days (0 = Sunday)
+//   { type: 'interval', interval: 3 }  every N days
+const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'interval'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-// Pause a task's timer
-const pauseTimer = (id) => {
-    const task = tasks.find(t => t.id === id);
-    if (!task || task.completed || task.incomplete) return;
-    if (!task.timerEnd) return; // not running
-    const remaining = Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
-    task.timerRemainingSeconds = remaining;
-    task.timerEnd = null;
-    saveTasks();
-};
+// All instances of a recurring task share the first instance's id
+const getSeriesId = (task) => task.seriesId || task.id;
 
-// Reset a task's timer to the original duration
-const resetTimer = (id) => {
-    const task = tasks.find(t => t.id === id);
-    if (!task) return;
-    task.timerRemainingSeconds = task.timerSeconds || 0;
-    task.timerEnd = null;
-    task.incomplete = false;
-    saveTasks();
+// Does a rule allow a date on this weekday?
+const recurrenceMatchesDay = (rule, date) => {
+    const weekday = date.getDay();
+    if (rule.type === 'weekdays') return weekday >= 1 && weekday <= 5;
+    if (rule.type === 'weekly') return rule.days.includes(weekday);
+    return true;
 };
 
-// Show a small toast message
-function showToast(message) {
-    let $toast = $('#__app_toast');
-    if ($toast.length === 0) {
-        $toast = $('<div id="__app_toast" class="toast"></div>');
-        $('body').append($toast);
+// Next occurrence after `from` (a timestamp), keeping its time of day.
+// The result is always in the future, so completing an overdue instance
+// skips the dates that were missed.
+const getNextOccurrence = (rule, from, now = Date.now()) => {
+    const next = new Date(from);
+    if (rule.type === 'interval') {
+        do {
+            next.setDate(next.getDate() + rule.interval);
+        } while (next.getTime() <= now);
+        return next.getTime();
     }
-    $toast.text(message).addClass('show');
-    setTimeout(() => {
-        $toast.removeClass('show');
-    }, 3500);
-}
-
-// Get statistics
-const getStats = () => {
-    const total = tasks.length;
-    const completed = tasks.filter(task => task.completed).length;
-    const remaining = total - completed;
-    return { total, completed, remaining };
+    do {
+        next.setDate(next.getDate() + 1);
+    } while (next.getTime() <= now || !recurrenceMatchesDay(rule, next));
+    return next.getTime();
 };
 
+// Short label for the repeat badge, e.g. "Daily" or "Mon, Thu"
+const describeRecurrence = (rule) => {
+    switch (rule.type) {
+        case 'daily': return 'Daily';
+        case 'weekdays': return 'Weekdays';
+        case 'weekly': return rule.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+        case 'interval': return rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+        default: return '';
+    }
+};
 
-// ========== FORM HELPER FUNCTIONS ==========
+// After a recurring task is completed, add its next instance: same text,
+// tags, timer duration (not running) and unchecked subtasks, due on the
+// next occurrence. The due date keeps its time of day; without one, the
+// completion time of day is used. Returns the new task or null.
+const spawnNextOccurrence = (task) => {
+    if (!task.recurrence) return null;
+    const seriesId = getSeriesId(task);
+    // only one open instance per series (e.g. complete, undo-check, complete)
+    if (tasks.some(t => t.id !== task.id && getSeriesId(t) === seriesId && !t.completed)) return null;
+    if (tasks.length >= settings.maxTasks) {
+        showToast(`Could not repeat "${task.text}": maximum ${settings.maxTasks} tasks reached`);
+        return null;
+    }
 
-// Topic: Forms - Error display
-const showFormError = (inputId, message) => {
-    // DOM Manipulation: Get element and add error class
-    const $input = $(`#${inputId}`);
-    $input.addClass('input-error');
-    
-    // DOM Manipulation: Show or update error message
-    let $errorMsg = $input.next('.error-message');
-    if ($errorMsg.length === 0) {
-        $errorMsg = $('<div class="error-message"></div>').insertAfter($input);
+    const dueAt = getNextOccurrence(task.recurrence, task.dueAt || task.completedAt || Date.now());
+    const next = createTask(task.text, task.timerSeconds, {
+        dueAt,
+        tags: task.tags.slice(),
+        recurrence: { ...task.recurrence },
+        priority: task.priority
+    });
+    // a fresh timer that waits for Start instead of running until the due date
+    next.timerEnd = null;
+    next.sessions = [];
+    next.seriesId = seriesId;
+    next.subtasks = task.subtasks.map(sub => ({ ...sub, completed: false }));
+    if (task.pomodoro) {
+        next.pomodoro = { ...task.pomodoro, count: 0, phase: 'work' };
+        next.timerSeconds = next.pomodoro.workMinutes * 60;
+        next.timerRemainingSeconds = next.timerSeconds;
     }
-    $errorMsg.text(message).fadeIn();
+    tasks.push(next);
+    return next;
 };
 
-// Topic: Forms - Clear error
-const clearFormError = (inputId) => {
-    const $input = $(`#${inputId}`);
-    $input.removeClass('input-error');
-    $input.next('.error-message').fadeOut(() => $(this).remove());
+// Stop a task from repeating; already created instances stay
+const stopRecurrence = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || !task.recurrence) return;
+    recordHistory('Stop repeating');
+    task.recurrence = null;
+    saveTasks();
 };
 
-// Topic: Forms - Reset form
-const resetForm = () => {
-    // Native DOM: Get form element
-    const form = document.getElementById('taskForm') || document.querySelector('form');
-    if (form) {
-        form.reset();
+// Read the repeat controls next to the task input.
+// Returns { rule } (rule may be null for "does not repeat") or { error }.
+const readRecurrenceInput = () => {
+    const type = $('#taskRecurrence').val();
+    if (!type) return { rule: null };
+    if (type === 'weekly') {
+        const days = $('#recurrenceWeekdays input:checked').map(function() {
+            return parseInt($(this).val(), 10);
+        }).get();
+        if (days.length === 0) return { error: 'Pick at least one day to repeat on!' };
+        return { rule: normalizeRecurrence({ type, days }) };
     }
-    
-    // jQuery: Clear input and remove errors
-    $('#taskInput').val('').focus();
-    clearFormError('taskInput');
+    if (type === 'interval') {
+        const interval = parseInt($('#recurrenceInterval').val(), 10);
+        if (!(interval >= 1 && interval <= 365)) return { error: 'Repeat interval must be 1-365 days!' };
+        return { rule: { type, interval } };
+    }
+    return { rule: { type } };
 };
 
-// Topic: DOM Manipulation - Get form data
-const getFormData = () => {
-    return {
-        task: $('#taskInput').val(),
-        timestamp: new Date().toISOString()
-    };
+// Show only the extra inputs the chosen repeat type needs
+const updateRecurrenceInputs = () => {
+    const type = $('#taskRecurrence').val();
+    $('#recurrenceWeekdays').prop('hidden', type !== 'weekly');
+    $('#recurrenceInterval').prop('hidden', type !== 'interval');
 };
 
-// Topic: DOM Manipulation - Set form data
-const setFormData = (data) => {
-    $('#taskInput').val(data.task);
+// ========== QUICK ADD ==========
+
+// Inline syntax in #taskInput, taken out of the task text by parseQuickAdd:
+//   25m, 1h, 1h30m, 90 min, 1.5 hours,
+//   30 sec                                   timer
+//   today, tonight, tomorrow, friday, on fri,
+//   next week, in 3 days, 2026-11-05         due date
+//   3pm, 9:30am, 15:00, at 3pm               due time (today, or tomorrow once passed)
+//   !urgent !high !medium !low, !p1 ... !p4  priority
+//   every day | weekday | week | 3 days,
+//   every monday, every mon and thu          recurrence
+//   #tag                                     tags
+// A date without a time is due at DEFAULT_DUE_HOUR, or at the end of the day
+// when that is today and the hour has passed. A word starting with a
+// backslash is kept as text: "Read \tomorrow" or "Post \#news".
+const DEFAULT_DUE_HOUR = 9;
+const PRIORITY_WORDS = { urgent: 1, high: 2, medium: 3, normal: 3, low: 4 };
+// a token stands alone: whitespace (or the string edge) on both sides
+const QUICK_WEEKDAY = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?';
+// short forms alone are too often plain words ("Meet Sat", "Sit in the sun")
+const QUICK_WEEKDAY_FULL = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+const QUICK_PATTERNS = {
+    priority: /(?<!\S)!(urgent|high|medium|normal|low|p[1-4])(?!\S)/i,
+    everyInterval: /(?<!\S)every\s+(\d+)\s+days?(?!\S)/i,
+    everyDay: /(?<!\S)every\s*day(?!\S)/i,
+    everyWeekday: /(?<!\S)every\s+weekday(?!\S)/i,
+    everyWeek: /(?<!\S)every\s+week(?!\S)/i,
+    everyDays: new RegExp(`(?<!\\S)every\\s+((?:${QUICK_WEEKDAY})(?:\\s*(?:,|and|&)\\s*(?:${QUICK_WEEKDAY}))*)(?!\\S)`, 'i'),
+    time12: /(?<!\S)(?:at\s+)?(1[0-2]|0?[1-9])(?::([0-5]\d))?\s?(am|pm)(?!\S)/i,
+    time24: /(?<!\S)(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)(?!\S)/,
+    // lower-case h/m only: "404s" and "3M" are words, not timers
+    timerShort: /(?<!\S)(?:(\d+)h(\d+)m?|(\d+(?:\.\d+)?)([hm]))(?!\S)/,
+    timerWord: /(?<!\S)(\d+(?:\.\d+)?)\s?(hrs?|hours?|mins?|minutes?|secs?|seconds?)(?!\S)/i,
+    relativeDay: /(?<!\S)(today|tonight|tomorrow|tmrw)(?!\S)/i,
+    inDays: /(?<!\S)in\s+(\d+)\s+(days?|weeks?)(?!\S)/i,
+    nextWeek: /(?<!\S)next\s+week(?!\S)/i,
+    weekday: new RegExp(`(?<!\\S)(?:(?:on|next|by)\\s+(${QUICK_WEEKDAY})|(${QUICK_WEEKDAY_FULL}))(?!\\S)`, 'i'),
+    isoDate: /(?<!\S)(\d{4})-(\d{2})-(\d{2})(?!\S)/
 };
 
+// "Thu" / "thursday" -> 4
+const weekdayIndex = (name) => ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3).toLowerCase());
 
-// ========== FUNCTIONS & LOOPS ==========
+// Parse quick-add syntax out of raw input text.
+// Returns { text, tags, timerSeconds, dueAt, priority, recurrence } - fields
+// that were not in the text are null (tags: []).
+const parseQuickAdd = (rawText, now = new Date()) => {
+    // escaped words become placeholders no pattern matches, put back at the end
+    const literals = [];
+    let rest = rawText.replace(/(?<!\S)\\(\S+)/g, (match, word) => `\u0000${literals.push(word) - 1}\u0000`);
+    // remove the first match of a pattern; onMatch gets the match and
+    // returns false to leave it in the text
+    const take = (pattern, onMatch) => {
+        const match = rest.match(pattern);
+        if (!match || onMatch(match) === false) return false;
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+        return true;
+    };
 
-// Topic: DOM Manipulation - Render list with jQuery
-// Regular function
-function renderTaskList() {
+    let priority = null;
+    take(QUICK_PATTERNS.priority, ([, word]) => {
+        priority = /^p/i.test(word) ? Number(word.slice(1)) : PRIORITY_WORDS[word.toLowerCase()];
+    });
+
+    let recurrence = null;
+    let everyWeek = false;
+    take(QUICK_PATTERNS.everyInterval, ([, n]) => {
+        recurrence = normalizeRecurrence({ type: 'interval', interval: Math.min(365, Number(n)) });
+    }) ||
+        take(QUICK_PATTERNS.everyDay, () => {
+            recurrence = { type: 'daily' };
+        }) ||
+        take(QUICK_PATTERNS.everyWeekday, () => {
+            recurrence = { type: 'weekdays' };
+        }) ||
+        take(QUICK_PATTERNS.everyDays, ([, days]) => {
+            recurrence = normalizeRecurrence({ type: 'weekly', days: days.split(/\s*(?:,|and|&)\s*/i).map(weekdayIndex) });
+        }) ||
+        take(QUICK_PATTERNS.everyWeek, () => {
+            // the weekday is filled in from the due date below
+            everyWeek = true;
+        });
+
+    // time of day: [hours, minutes] or null
+    let time = null;
+    take(QUICK_PATTERNS.time12, ([, hours, minutes, half]) => {
+        time = [Number(hours) % 12 + (half.toLowerCase() === 'pm' ? 12 : 0), Number(minutes || 0)];
+    }) || take(QUICK_PATTERNS.time24, ([, hours, minutes]) => {
+        time = [Number(hours), Number(minutes)];
+    });
+
+    let timerSeconds = null;
+    const perUnit = { h: 3600, m: 60, s: 1 };
+    take(QUICK_PATTERNS.timerShort, ([, h, m, amount, unit]) => {
+        timerSeconds = h ? Number(h) * 3600 + Number(m) * 60 : Math.round(Number(amount) * perUnit[unit]);
+    }) || take(QUICK_PATTERNS.timerWord, ([, amount, unit]) => {
+        timerSeconds = Math.round(Number(amount) * perUnit[unit[0].toLowerCase()]);
+    });
+
+    // calendar day (midnight) of the due date, or null
+    let day = null;
+    // time of a date given without one
+    let dayTime = [DEFAULT_DUE_HOUR, 0];
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const addDays = (date, n) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+    take(QUICK_PATTERNS.relativeDay, ([, word]) => {
+        const lower = word.toLowerCase();
+        day = lower === 'tomorrow' || lower === 'tmrw' ? addDays(today, 1) : today;
+        if (lower === 'tonight') dayTime = [20, 0];
+    }) ||
+        take(QUICK_PATTERNS.inDays, ([, n, unit]) => {
+            day = addDays(today, Number(n) * (/^w/i.test(unit) ? 7 : 1));
+        }) ||
+        take(QUICK_PATTERNS.nextWeek, () => {
+            // Monday of next week
+            day = addDays(today, ((8 - today.getDay()) % 7) || 7);
+        }) ||
+        take(QUICK_PATTERNS.isoDate, ([, y, m, d]) => {
+            const date = new Date(Number(y), Number(m) - 1, Number(d));
+            // no such day (2026-02-30): keep it as text
+            if (date.getMonth() !== Number(m) - 1) return false;
+            day = date;
+        }) ||
+        take(QUICK_PATTERNS.weekday, ([, short, full]) => {
+            // the coming one, never today
+            day = addDays(today, ((weekdayIndex(short || full) - today.getDay() + 7) % 7) || 7);
+        });
+
+    const at = (date) => {
+        const [hours, minutes] = time || dayTime;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes).getTime();
+    };
+    let dueAt = null;
+    if (day) {
+        dueAt = at(day);
+        // "today" after that hour has passed: due by the end of the day, not overdue already
+        if (!time && day.getTime() === today.getTime() && dueAt <= now.getTime()) {
+            dueAt = addDays(today, 1).getTime() - 1;
+        }
+    } else if (time) {
+        // a bare time means the next time the clock shows it
+        dueAt = at(today) > now.getTime() ? at(today) : at(addDays(today, 1));
+    }
+
+    if (everyWeek) {
+        recurrence = { type: 'weekly', days: [new Date(dueAt || now.getTime()).getDay()] };
+    }
+    // a repeating task without a date is due at its first occurrence
+    if (recurrence && dueAt === null) {
+        let first = today;
+        while (at(first) <= now.getTime() || !recurrenceMatchesDay(recurrence, first)) {
+            first = addDays(first, 1);
+        }
+        dueAt = at(first);
+    }
+
+    const { text: parsedText, tags } = extractTags(rest);
+    const text = parsedText.replace(/\u0000(\d+)\u0000/g, (match, i) => literals[i]);
+    return { text, tags, timerSeconds: timerSeconds > 0 ? timerSeconds : null, dueAt, priority, recurrence };
+};
+
+// Topic: DOM Manipulation - live preview of what quick-add will set
+const renderQuickAddPreview = () => {
+    const raw = $('#taskInput').val();
+    const parsed = parseQuickAdd(raw);
+    const chips = [];
+    if (parsed.timerSeconds) chips.push(`⏱ ${formatDuration(parsed.timerSeconds)}`);
+    if (parsed.dueAt) chips.push(`📅 ${formatDueDate(parsed.dueAt)}`);
+    if (parsed.recurrence) chips.push(`🔁 ${describeRecurrence(parsed.recurrence)}`);
+    if (parsed.priority) chips.push(`🚩 ${PRIORITIES[parsed.priority].label}`);
+    parsed.tags.forEach(tag => chips.push(`#${tag}`));
+
+    const $preview = $('#quickAddPreview').empty();
+    if (chips.length === 0) {
+        $preview.prop('hidden', true);
+        return;
+    }
+    $('<span class="quick-add-text">').text(parsed.text || '(no text)').appendTo($preview);
+    chips.forEach(chip => $('<span class="quick-add-chip">').text(chip).appendTo($preview));
+    $preview.prop('hidden', false);
+};
+
+// ========== SUBTASKS ==========
+
+// Progress of a task's checklist, e.g. { done: 2, total: 5 }
+const getSubtaskProgress = (task) => ({
+    done: task.subtasks.filter(sub => sub.completed).length,
+    total: task.subtasks.length
+});
+
+// Add a checklist item to a task; shows the error next to the subtask input
+const addSubtask = (taskId, text) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return false;
+    const trimmedText = text.trim();
+    const inputId = `subtaskInput-${taskId}`;
+    if (trimmedText === '') {
+        showFormError(inputId, 'Subtask cannot be empty!');
+        return false;
+    }
+    if (trimmedText.length > settings.maxTextLength) {
+        showFormError(inputId, `Subtask cannot exceed ${settings.maxTextLength} characters!`);
+        return false;
+    }
+
+    recordHistory('Add subtask');
+    const nextId = task.subtasks.reduce((max, sub) => Math.max(max, sub.id), 0) + 1;
+    task.subtasks.push({ id: nextId, text: trimmedText, completed: false });
+    // a new open item means the checklist is no longer finished
+    if (task.completed && settings.autoCompleteParent) {
+        task.completed = false;
+        task.completedAt = null;
+    }
+    saveTasks();
+    clearFormError(inputId);
+    return true;
+};
+
+// Check/uncheck a subtask; with autoCompleteParent the task completes
+// when its last open subtask is checked
+const toggleSubtask = (taskId, subtaskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    const subtask = task && task.subtasks.find(sub => sub.id === subtaskId);
+    if (!subtask) return;
+
+    recordHistory(subtask.completed ? 'Uncheck subtask' : 'Check subtask');
+    subtask.completed = !subtask.completed;
+    if (settings.autoCompleteParent && !task.completed && task.subtasks.every(sub => sub.completed)) {
+        markCompleted(task);
+        spawnNextOccurrence(task);
+    }
+    saveTasks();
+};
+
+// Remove a subtask from its task
+const deleteSubtask = (taskId, subtaskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || !task.subtasks.some(sub => sub.id === subtaskId)) return;
+    recordHistory('Delete subtask');
+    task.subtasks = task.subtasks.filter(sub => sub.id !== subtaskId);
+    saveTasks();
+};
+
+// Move a task next to another one in the full list.
+// Only the moved task changes place, so tasks hidden by a filter keep
+// their relative order.
+const moveTask = (id, targetId, placeAfter = false) => {
+    if (id === targetId) return false;
+    const from = tasks.findIndex(t => t.id === id);
+    if (from === -1 || !tasks.some(t => t.id === targetId)) return false;
+
+    recordHistory('Reorder tasks');
+    const [task] = tasks.splice(from, 1);
+    const to = tasks.findIndex(t => t.id === targetId);
+    tasks.splice(placeAfter ? to + 1 : to, 0, task);
+    tasks.forEach((t, i) => {
+        t.position = i;
+    });
+    saveTasks();
+    return true;
+};
+
+// Move a task one step up (-1) or down (+1) within the current view
+const moveTaskByStep = (id, direction) => {
+    const visible = getFilteredTasks();
+    const index = visible.findIndex(t => t.id === id);
+    const neighbour = visible[index + direction];
+    if (index === -1 || !neighbour) return false;
+    return moveTask(id, neighbour.id, direction > 0);
+};
+
+// Clear completed tasks
+const clearCompleted = () => {
+    recordHistory('Clear completed');
+    archiveTasks(tasks.filter(task => task.completed));
+    tasks = tasks.filter(task => !task.completed);
+    saveTasks();
+};
+
+// Filter tasks based on status
+const getFilteredTasks = () => {
+    let list = tasks;
+    if (currentFilter === 'completed') {
+        list = list.filter(task => task.completed);
+    } else if (currentFilter === 'active') {
+        // Active should exclude tasks that are marked incomplete by timer expiry
+        list = list.filter(task => !task.completed && !task.incomplete);
+    } else if (currentFilter === 'incomplete') {
+        list = list.filter(task => task.incomplete === true);
+    } else if (currentFilter === 'overdue') {
+        list = list.filter(isOverdue);
+    } else if (currentFilter === 'today') {
+        list = list.filter(task => task.dueAt && isSameDay(task.dueAt, Date.now()));
+    } else if (currentFilter === 'focus') {
+        list = getFocusTasks(list);
+    }
+    // The tag filter narrows the status filter (intersection)
+    if (currentTagFilter) {
+        list = list.filter(task => task.tags.includes(currentTagFilter));
+    }
+    // ...and so does the search box
+    if (currentSearch.trim() !== '') {
+        const { matches } = parseSearchQuery(currentSearch);
+        list = list.filter(matches);
+    }
+    return list;
+};
+
+// ========== SEARCH ==========
+
+// Seconds per unit for timer:<op><number><unit> (unit defaults to minutes)
+const TIME_UNITS = { s: 1, m: 60, h: 3600 };
+
+// Predicates for is:<state>
+const SEARCH_STATES = {
+    completed: task => task.completed,
+    done: task => task.completed,
+    active: task => !task.completed && !task.incomplete,
+    incomplete: task => task.incomplete,
+    overdue: task => isOverdue(task),
+    running: task => !!task.timerEnd,
+    pomodoro: task => !!task.pomodoro,
+    recurring: task => !!task.recurrence
+};
+
+// Compare a number with an operator from the query
+const compareWith = (value, op, target) => {
+    switch (op) {
+        case '>': return value > target;
+        case '>=': return value >= target;
+        case '<': return value < target;
+        case '<=': return value <= target;
+        default: return value === target;
+    }
+};
+
+// Parse a search query into plain terms and a matching function.
+// Supported operators (all combined with AND):
+//   is:completed | is:active | is:incomplete | is:overdue | is:running
+//   is:pomodoro | is:recurring
+//   timer:>10m | timer:<=90s | timer:1h   (compares the timer duration)
+//   #tag or tag:name                      (task has that tag)
+// Everything else is a plain term matched against the text and tags.
+const parseSearchQuery = (query) => {
+    const terms = [];
+    const predicates = [];
+
+    query.trim().split(/\s+/).filter(Boolean).forEach(token => {
+        const lower = token.toLowerCase();
+        const stateMatch = lower.match(/^is:(\w+)$/);
+        const timerMatch = lower.match(/^timer:(>=|<=|>|<|=)?(\d+)([smh])?$/);
+        const tagMatch = lower.match(/^(?:#|tag:)(.+)$/);
+
+        if (stateMatch && SEARCH_STATES[stateMatch[1]]) {
+            predicates.push(SEARCH_STATES[stateMatch[1]]);
+        } else if (timerMatch) {
+            const [, op, amount, unit = 'm'] = timerMatch;
+            const seconds = parseInt(amount, 10) * TIME_UNITS[unit];
+            predicates.push(task => task.timerSeconds > 0 && compareWith(task.timerSeconds, op, seconds));
+        } else if (tagMatch) {
+            predicates.push(task => task.tags.includes(tagMatch[1]));
+        } else {
+            terms.push(lower);
+        }
+    });
+
+    const matches = (task) => {
+        const text = task.text.toLowerCase();
+        return predicates.every(test => test(task)) &&
+            terms.every(term => text.includes(term) || task.tags.some(tag => tag.includes(term)));
+    };
+
+    return { terms, matches };
+};
+
+// Escape characters with special meaning in a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape text for HTML and wrap every search term match in <mark>.
+// Matching runs on the raw text; each piece is escaped on its own so the
+// markup added here is the only unescaped HTML.
+const highlightMatches = (text, terms) => {
+    if (terms.length === 0) return escapeHtml(text);
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+};
+
+// ========== SORTING ==========
+
+// Seconds left on a task's timer, the same way renderTaskList shows it:
+// live countdown while running, otherwise the paused/initial remainder
+const getRemainingSeconds = (task) => {
+    if (task.timerEnd) {
+        return Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
+    }
+    return task.timerRemainingSeconds || task.timerSeconds;
+};
+
+// Group rank for the status sort: expired first, then active, then done
+const statusRank = (task) => (task.incomplete ? 0 : (task.completed ? 2 : 1));
+
+// Compare functions for each sort mode (manual keeps the stored order).
+// Array.prototype.sort is stable, so ties keep the manual order.
+const SORT_MODES = {
+    manual: null,
+    newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    alpha: (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }),
+    // tasks without a usable timer (none, expired, completed) go last
+    timer: (a, b) => {
+        const timed = (task) => task.timerSeconds > 0 && !task.completed && !task.incomplete;
+        if (timed(a) !== timed(b)) return timed(a) ? -1 : 1;
+        return timed(a) ? getRemainingSeconds(a) - getRemainingSeconds(b) : 0;
+    },
+    status: (a, b) => statusRank(a) - statusRank(b),
+    priority: (a, b) => a.priority - b.priority
+};
+
+// Return a sorted copy of the list using the saved sort mode
+const sortTasks = (list) => {
+    const compare = SORT_MODES[settings.sortMode];
+    return compare ? list.slice().sort(compare) : list;
+};
+
+// Start a task's timer
+const startTimer = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.completed || task.incomplete) return;
+    // if already running, do nothing
+    if (task.timerEnd) return;
+    // a finished Pomodoro cycle has to be reset first
+    if (isPomodoroDone(task)) return;
+    // if remaining is 0 but original duration exists, reset remaining
+    if (!task.timerRemainingSeconds && task.timerSeconds) {
+        task.timerRemainingSeconds = task.timerSeconds;
+    }
+    if (task.timerRemainingSeconds > 0) {
+        recordHistory('Start timer');
+        task.timerEnd = Date.now() + task.timerRemainingSeconds * 1000;
+        // a Pomodoro break is not work time
+        if (!task.pomodoro || task.pomodoro.phase === 'work') {
+            logTimerEvent(task, 'start');
+        }
+        saveTasks();
+    }
+};
+
+// Pause a task's timer
+const pauseTimer = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.completed || task.incomplete) return;
+    if (!task.timerEnd) return; // not running
+    recordHistory('Pause timer');
+    const remaining = Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
+    task.timerRemainingSeconds = remaining;
+    task.timerEnd = null;
+    logTimerEvent(task, 'pause');
+    saveTasks();
+};
+
+// Reset a task's timer to the original duration
+const resetTimer = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    recordHistory('Reset timer');
+    logTimerEvent(task, 'reset');
+    if (task.pomodoro) {
+        // start the cycle over from the first work interval
+        task.pomodoro.count = 0;
+        setPomodoroPhase(task, 'work');
+    }
+    task.timerRemainingSeconds = task.timerSeconds || 0;
+    task.timerEnd = null;
+    task.incomplete = false;
+    saveTasks();
+};
+
+// ========== POMODORO ==========
+
+// True once a task has finished its target number of pomodoros
+const isPomodoroDone = (task) => !!task.pomodoro && task.pomodoro.count >= task.pomodoro.target;
+
+// Whether startTimer would start this task's timer (the Start button is enabled)
+const canStartTimer = (task) => task.timerSeconds > 0 && !task.timerEnd && !task.completed && !task.incomplete && !isPomodoroDone(task);
+
+// Point the task's timer at a phase's duration (not running yet)
+const setPomodoroPhase = (task, phase) => {
+    const minutes = phase === 'work' ? task.pomodoro.workMinutes : task.pomodoro.breakMinutes;
+    task.pomodoro.phase = phase;
+    task.timerSeconds = minutes * 60;
+    task.timerRemainingSeconds = task.timerSeconds;
+    task.timerEnd = null;
+};
+
+// Switch a task in or out of Pomodoro mode.
+// Turning it on takes the work/break/target values from settings;
+// turning it off removes the timer.
+const togglePomodoro = (id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.completed) return;
+
+    recordHistory(task.pomodoro ? 'Stop Pomodoro' : 'Start Pomodoro');
+    if (task.timerEnd) {
+        // switching modes stops a running timer
+        logTimerEvent(task, 'reset');
+    }
+    if (task.pomodoro) {
+        task.pomodoro = null;
+        task.timerSeconds = 0;
+        task.timerRemainingSeconds = 0;
+        task.timerEnd = null;
+    } else {
+        task.pomodoro = {
+            workMinutes: settings.pomodoroWorkMinutes,
+            breakMinutes: settings.pomodoroBreakMinutes,
+            target: settings.pomodoroTarget,
+            count: 0,
+            phase: 'work'
+        };
+        setPomodoroPhase(task, 'work');
+    }
+    task.incomplete = false;
+    saveTasks();
+};
+
+// Called by expireTimers when a Pomodoro interval runs out, with the time it
+// ran out. Work -> count it, then start a break (or stop at the target);
+// break -> start the next work interval. The task is never flagged incomplete.
+// Breaks close the work session in the log, so they don't count as time spent.
+// alert = false skips the toast (missed intervals are summarized instead).
+const advancePomodoro = (task, now, alert = true, listId = currentListId) => {
+    const pomodoro = task.pomodoro;
+    const notify = (message) => {
+        if (alert) alertTask(task, message, message, listId);
+    };
+    if (pomodoro.phase === 'work') {
+        pomodoro.count++;
+        logTimerEvent(task, 'pause', now);
+        if (isPomodoroDone(task)) {
+            setPomodoroPhase(task, 'work');
+            task.timerRemainingSeconds = 0;
+            notify(`🍅 ${pomodoro.count}/${pomodoro.target} pomodoros done`);
+            return;
+        }
+        setPomodoroPhase(task, 'break');
+        notify(`☕ Break time (${pomodoro.breakMinutes} min)`);
+    } else {
+        setPomodoroPhase(task, 'work');
+        logTimerEvent(task, 'start', now);
+        notify(`🍅 Back to work (${pomodoro.workMinutes} min)`);
+    }
+    // the next interval starts right away
+    task.timerEnd = now + task.timerSeconds * 1000;
+};
+
+// Label shown before the countdown, e.g. "🍅 2/4" or "☕ Break"
+const getPomodoroLabel = (task) => {
+    const { phase, count, target } = task.pomodoro;
+    if (isPomodoroDone(task)) return `🍅 ${count}/${target} done`;
+    return phase === 'work' ? `🍅 ${count + 1}/${target}` : '☕ Break';
+};
+
+// ========== NOTIFICATIONS & SOUND ==========
+
+// Timers already warned about, as "<id>:<timerEnd>" - a restarted timer
+// gets a new timerEnd and so a new warning
+const warnedTimers = new Set();
+// Task row highlighted after clicking a notification (null = none)
+let flashTaskId = null;
+let audioContext = null;
+
+// Topic: Web Notifications - ask once, from a click (browsers require a user gesture)
+const requestNotificationPermission = () => {
+    if (typeof Notification === 'undefined') {
+        showToast('This browser does not support desktop notifications');
+        return;
+    }
+    if (Notification.permission === 'denied') {
+        showToast('Notifications are blocked for this page - allow them in the browser settings');
+        return;
+    }
+    if (Notification.permission === 'default') {
+        Notification.requestPermission().then(result => {
+            if (result !== 'granted') showToast('Notifications were not allowed');
+        });
+    }
+};
+
+// Show the task and highlight it for a moment; switches list and clears
+// filters when needed
+const focusTask = (listId, id) => {
+    if (listId !== currentListId && switchList(listId)) {
+        refreshAfterListChange();
+    }
+    if (!tasks.some(t => t.id === id)) return;
+    if ($(`#taskList li[data-id="${id}"]`).length === 0) {
+        currentTagFilter = null;
+        $('#searchInput').val('');
+        currentSearch = '';
+        $('.filter-btn[data-filter="all"]').trigger('click');
+    }
+    flashTaskId = id;
+    renderTaskList();
+    const row = $(`#taskList li[data-id="${id}"]`)[0];
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => {
+        if (flashTaskId === id) {
+            flashTaskId = null;
+            renderTaskList();
+        }
+    }, 2500);
+};
+
+// Topic: Web Notifications - shown only while enabled and permitted
+const notifyTask = (task, title, listId = currentListId) => {
+    if (!settings.notificationsEnabled || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    try {
+        // the tag replaces an older notification for the same task
+        const notification = new Notification(title, {
+            body: task.text,
+            tag: `task-${listId}-${task.id}`,
+            icon: 'icons/icon-192.png',
+            // urgent tasks stay on screen until dismissed
+            requireInteraction: task.priority === 1
+        });
+        notification.onclick = () => {
+            window.focus();
+            focusTask(listId, task.id);
+            notification.close();
+        };
+    } catch (error) {
+        // e.g. Chrome on Android only allows notifications from a service worker
+        console.error('Error showing notification:', error);
+    }
+};
+
+// Short two-note chime made with the Web Audio API
+const playChime = () => {
+    if (!settings.soundEnabled) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        audioContext.resume();
+        [880, 1320].forEach((frequency, i) => {
+            const start = audioContext.currentTime + i * 0.18;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.6);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.6);
+        });
+    } catch (error) {
+        console.error('Error playing chime:', error);
+    }
+};
+
+// A timer ended: toast, notification and chime
+const alertTask = (task, message, title = message, listId = currentListId) => {
+    showToast(`${message}: ${task.text}${otherListSuffix(listId)}`);
+    notifyTask(task, title, listId);
+    playChime();
+};
+
+// Heads-up for running timers that end within settings.timerWarningMinutes.
+// Timers no longer than the warning window are not warned about.
+const checkTimerWarnings = (now, list = tasks, listId = currentListId) => {
+    const warnMs = settings.timerWarningMinutes * 60 * 1000;
+    if (warnMs === 0) return;
+    list.forEach(task => {
+        if (!task.timerEnd || task.completed || task.timerSeconds * 1000 <= warnMs) return;
+        const key = `${listId}:${task.id}:${task.timerEnd}`;
+        const left = task.timerEnd - now;
+        if (left > 0 && left <= warnMs && !warnedTimers.has(key)) {
+            warnedTimers.add(key);
+            const minutesLeft = Math.max(1, Math.round(left / 60000));
+            showToast(`⏳ ${minutesLeft} min left: ${task.text}${otherListSuffix(listId)}`);
+            notifyTask(task, `⏳ ${minutesLeft} min left`, listId);
+        }
+    });
+};
+
+// Pending hide timeout for the toast, so a new message gets its full duration
+let toastTimeout = null;
+
+// Show a small toast message
+// action (optional): { label, onClick } renders a button inside the toast
+function showToast(message, action = null) {
+    let $toast = $('#__app_toast');
+    if ($toast.length === 0) {
+        $toast = $('<div id="__app_toast" class="toast"></div>');
+        $('body').append($toast);
+    }
+    $toast.empty().append($('<span class="toast-message">').text(message));
+    if (action) {
+        $('<button type="button" class="toast-action">')
+            .text(action.label)
+            .on('click', () => {
+                $toast.removeClass('show');
+                action.onClick();
+            })
+            .appendTo($toast);
+    }
+    $toast.addClass('show');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+        $toast.removeClass('show');
+    }, settings.toastDuration);
+}
+
+// Get statistics
+const getStats = () => {
+    const total = tasks.length;
+    const completed = tasks.filter(task => task.completed).length;
+    const remaining = total - completed;
+    // time tracking from the session logs
+    const timeSpentSeconds = tasks.reduce((sum, task) => sum + getTimeSpentSeconds(task), 0);
+    const expired = tasks.filter(task => task.incomplete).length;
+    const completedInTime = tasks.filter(isCompletedInTime).length;
+    return { total, completed, remaining, timeSpentSeconds, expired, completedInTime };
+};
+
+
+// ========== TIME TRACKING ==========
+
+// Timer log entry types: 'start' opens a work session, the others close it
+const SESSION_TYPES = ['start', 'pause', 'reset', 'expire', 'complete'];
+
+// Append a timestamped entry to a task's session log
+const logTimerEvent = (task, type, at = Date.now()) => {
+    task.sessions.push({ type, at });
+};
+
+// Work intervals [{ start, end }] rebuilt from the session log.
+// A session still open is counted up to `now` while the timer runs.
+const getWorkIntervals = (task, now = Date.now()) => {
+    const intervals = [];
+    let openedAt = null;
+    for (const entry of task.sessions) {
+        if (entry.type === 'start') {
+            if (openedAt === null) openedAt = entry.at;
+        } else if (openedAt !== null) {
+            intervals.push({ start: openedAt, end: Math.max(openedAt, entry.at) });
+            openedAt = null;
+        }
+    }
+    if (openedAt !== null && task.timerEnd) {
+        intervals.push({ start: openedAt, end: Math.max(openedAt, now) });
+    }
+    return intervals;
+};
+
+// Total seconds worked on a task
+const getTimeSpentSeconds = (task, now = Date.now()) =>
+    Math.round(getWorkIntervals(task, now).reduce((sum, { start, end }) => sum + (end - start), 0) / 1000);
+
+// Did the timer run out since it was last reset?
+const expiredSinceReset = (task) => {
+    for (let i = task.sessions.length - 1; i >= 0; i--) {
+        if (task.sessions[i].type === 'expire') return true;
+        if (task.sessions[i].type === 'reset') return false;
+    }
+    return false;
+};
+
+// A timed task that was completed before its timer ran out
+const isCompletedInTime = (task) => task.completed && task.timerSeconds > 0 && !expiredSinceReset(task);
+
+// Local calendar day key, e.g. "2024-05-01"
+const toDayKey = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Summary for the report view:
+//   byDay: [{ day, seconds }] newest first (intervals split at midnight)
+//   byTask: [{ task, seconds }] most time first
+//   expired / completedInTime: task lists
+const getTimeReport = (now = Date.now()) => {
+    const perDay = {};
+    const byTask = [];
+    for (const task of tasks) {
+        const intervals = getWorkIntervals(task, now);
+        intervals.forEach(({ start, end }) => {
+            let cursor = start;
+            while (cursor < end) {
+                const nextMidnight = new Date(cursor);
+                nextMidnight.setHours(24, 0, 0, 0);
+                const sliceEnd = Math.min(end, nextMidnight.getTime());
+                const day = toDayKey(cursor);
+                perDay[day] = (perDay[day] || 0) + (sliceEnd - cursor) / 1000;
+                cursor = sliceEnd;
+            }
+        });
+        const seconds = getTimeSpentSeconds(task, now);
+        if (seconds > 0) {
+            byTask.push({ task, seconds });
+        }
+    }
+    return {
+        byDay: Object.entries(perDay)
+            .map(([day, seconds]) => ({ day, seconds: Math.round(seconds) }))
+            .sort((a, b) => b.day.localeCompare(a.day)),
+        byTask: byTask.sort((a, b) => b.seconds - a.seconds),
+        expired: tasks.filter(task => task.incomplete),
+        completedInTime: tasks.filter(isCompletedInTime)
+    };
+};
+
+// ========== DASHBOARD ==========
+
+// Number of days shown in the created/completed trend chart
+const TREND_DAYS = 30;
+
+// Did the task's timer ever run out (now or before it was completed)?
+const hitTimerExpiry = (task) => task.incomplete || expiredSinceReset(task);
+
+// Deleted tasks stay in the dashboard: before a task is removed, a small
+// record of it goes into the archive (one for all lists, oldest dropped first)
+const ARCHIVE_KEY = 'taskArchive';
+const ARCHIVE_LIMIT = 10000;
+
+// What the dashboard needs to know about a task
+const toDashboardRecord = (task, listId) => ({
+    listId,
+    id: task.id,
+    createdAt: new Date(task.createdAt).getTime(),
+    completedAt: task.completed ? task.completedAt : null,
+    timed: task.timerSeconds > 0,
+    finished: task.completed || task.incomplete,
+    expired: hitTimerExpiry(task)
+});
+
+const loadArchive = () => {
+    try {
+        const records = JSON.parse(localStorage.getItem(ARCHIVE_KEY) || '[]');
+        return Array.isArray(records) ? records : [];
+    } catch (error) {
+        console.error('Error loading task archive:', error);
+        return [];
+    }
+};
+
+// Keep dashboard records of tasks that are about to be removed
+const archiveTasks = (removed, listId = currentListId) => {
+    if (removed.length === 0) return;
+    const records = loadArchive().concat(removed.map(task => toDashboardRecord(task, listId)));
+    try {
+        localStorage.setItem(ARCHIVE_KEY, JSON.stringify(records.slice(-ARCHIVE_LIMIT)));
+    } catch (error) {
+        // the dashboard is a convenience - the delete still goes ahead
+        console.error('Error saving task archive:', error);
+    }
+};
+
+// Records of the tasks in every list plus the archived ones. A task that
+// came back after being archived (undo) is counted once.
+const getDashboardRecords = () => {
+    const records = new Map();
+    const add = (record) => {
+        const key = `${record.listId}:${record.id}:${record.createdAt}`;
+        if (!records.has(key)) records.set(key, record);
+    };
+    lists.forEach(list => readListTasks(list.id).forEach(task => add(toDashboardRecord(task, list.id))));
+    loadArchive().forEach(add);
+    return [...records.values()];
+};
+
+// Measures for the dashboard, computed from getDashboardRecords():
+//   trend: [{ day, created, completed }] for the last TREND_DAYS days, oldest first
+//   avgCompletionSeconds: mean createdAt -> completedAt (null if none)
+//   expiryRate: share of finished timed tasks whose timer expired (null if none)
+//   streak: consecutive days up to today with at least one completion
+//           (today may still be empty without breaking the streak)
+const getDashboardStats = (now = Date.now()) => {
+    const trend = [];
+    const index = {};
+    for (let i = TREND_DAYS - 1; i >= 0; i--) {
+        const date = new Date(now);
+        date.setHours(12, 0, 0, 0);
+        date.setDate(date.getDate() - i);
+        const day = toDayKey(date.getTime());
+        index[day] = { day, created: 0, completed: 0 };
+        trend.push(index[day]);
+    }
+
+    const records = getDashboardRecords();
+    const completionDays = new Set();
+    const durations = [];
+    for (const record of records) {
+        const createdDay = toDayKey(record.createdAt);
+        if (index[createdDay]) index[createdDay].created++;
+        if (record.completedAt) {
+            const completedDay = toDayKey(record.completedAt);
+            completionDays.add(completedDay);
+            if (index[completedDay]) index[completedDay].completed++;
+            durations.push(Math.max(0, record.completedAt - record.createdAt) / 1000);
+        }
+    }
+
+    const finishedTimed = records.filter(record => record.timed && record.finished);
+    const expiredCount = finishedTimed.filter(record => record.expired).length;
+
+    // walk back from today (or yesterday, if nothing is done yet today)
+    let streak = 0;
+    const cursor = new Date(now);
+    cursor.setHours(12, 0, 0, 0);
+    if (!completionDays.has(toDayKey(cursor.getTime()))) {
+        cursor.setDate(cursor.getDate() - 1);
+    }
+    while (completionDays.has(toDayKey(cursor.getTime()))) {
+        streak++;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+
+    return {
+        trend,
+        avgCompletionSeconds: durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : null,
+        expiryRate: finishedTimed.length > 0 ? expiredCount / finishedTimed.length : null,
+        expiredCount,
+        finishedTimedCount: finishedTimed.length,
+        streak
+    };
+};
+
+// Format a duration for reports, e.g. "1h 05m" or "12m 30s"
+const formatDuration = (totalSeconds) => {
+    const s = Math.max(0, Math.round(totalSeconds));
+    const hours = Math.floor(s / 3600);
+    const minutes = Math.floor((s % 3600) / 60);
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m ${String(s % 60).padStart(2, '0')}s`;
+};
+
+
+// ========== IMPORT / EXPORT ==========
+
+// Columns written to / read from CSV, with the type used to parse each cell.
+// Add new task fields here so they survive a CSV round trip.
+const CSV_COLUMNS = [
+    { key: 'id', type: 'number' },
+    { key: 'text', type: 'string' },
+    { key: 'completed', type: 'boolean' },
+    { key: 'createdAt', type: 'date' },
+    { key: 'timerSeconds', type: 'number' },
+    { key: 'timerRemainingSeconds', type: 'number' },
+    { key: 'timerEnd', type: 'number' },
+    { key: 'incomplete', type: 'boolean' },
+    { key: 'dueAt', type: 'number' },
+    { key: 'reminderSent', type: 'boolean' },
+    { key: 'overdueNotified', type: 'boolean' },
+    { key: 'tags', type: 'json' },
+    { key: 'position', type: 'number' },
+    { key: 'subtasks', type: 'json' },
+    { key: 'pomodoro', type: 'json' },
+    { key: 'sessions', type: 'json' },
+    { key: 'completedAt', type: 'date' },
+    { key: 'recurrence', type: 'json' },
+    { key: 'seriesId', type: 'number' },
+    { key: 'priority', type: 'number' }
+];
+
+// Topic: DOM Manipulation - Trigger a file download from a Blob
+const downloadFile = (filename, content, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+    $link[0].click();
+    $link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// File name stamped with today's date, e.g. tasks-2024-05-01.json
+const exportFileName = (extension) => `tasks-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+// Text a spreadsheet would run as a formula (=, +, -, @, tab, CR), also after
+// apostrophes that guard it. Such text is written with one more leading '.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Quote a CSV cell when it contains a comma, quote or line break
+const toCsvCell = (value) => {
+    if (value === null || typeof value === 'undefined') return '';
+    let text = value instanceof Date ? value.toISOString() : value;
+    text = typeof text === 'object' ? JSON.stringify(text) : String(text);
+    if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const tasksToCsv = (list) => {
+    const header = CSV_COLUMNS.map(col => col.key).join(',');
+    const rows = list.map(task => CSV_COLUMNS.map(col => toCsvCell(task[col.key])).join(','));
+    return [header, ...rows].join('\r\n');
+};
+
+const exportTasksJson = () => {
+    downloadFile(exportFileName('json'), JSON.stringify(tasks, null, 2), 'application/json');
+};
+
+const exportTasksCsv = () => {
+    downloadFile(exportFileName('csv'), tasksToCsv(tasks), 'text/csv');
+};
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+// doubled quotes and line breaks)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // treat \r\n as a single line break
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // ignore blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Convert one CSV cell to the column's type; undefined for empty cells
+const parseCsvCell = (value, type) => {
+    if (value === '') return undefined;
+    switch (type) {
+        case 'number': return Number(value);
+        case 'boolean': return /^(true|1|yes)$/i.test(value.trim());
+        case 'json':
+            // leave invalid JSON as text so validation reports the row
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        case 'string':
+            // drop the ' that toCsvCell put before formula-like text
+            return /^'/.test(value) && CSV_FORMULA_PATTERN.test(value) ? value.slice(1) : value;
+        default: return value;
+    }
+};
+
+// Turn CSV text into plain records keyed by the header row
+const csvToRecords = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const columns = header.map(name => CSV_COLUMNS.find(col => col.key === name.trim()));
+    if (!columns.some(col => col && col.key === 'text')) {
+        throw new Error('CSV header must contain a "text" column');
+    }
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((col, i) => {
+            // unknown columns are ignored
+            if (col) record[col.key] = parseCsvCell(cells[i] || '', col.type);
+        });
+        return record;
+    });
+};
+
+// Check one imported record before it is normalized.
+// Returns an error message, or null when the record is usable.
+const validateImportRecord = (record) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return 'not a task object';
+    }
+    if (typeof record.text !== 'string') {
+        return 'missing "text"';
+    }
+    const text = record.text.trim();
+    if (text.length < settings.minTextLength || text.length > settings.maxTextLength) {
+        return `text must be ${settings.minTextLength}-${settings.maxTextLength} characters`;
+    }
+    for (const key of ['timerSeconds', 'timerRemainingSeconds']) {
+        const value = record[key];
+        if (typeof value !== 'undefined' && value !== null && !(Number.isFinite(value) && value >= 0)) {
+            return `"${key}" must be a non-negative number`;
+        }
+    }
+    if (record.timerEnd && !Number.isFinite(record.timerEnd)) {
+        return '"timerEnd" must be a timestamp';
+    }
+    if (record.createdAt && isNaN(new Date(record.createdAt).getTime())) {
+        return '"createdAt" is not a valid date';
+    }
+    if (record.completedAt && isNaN(new Date(record.completedAt).getTime())) {
+        return '"completedAt" is not a valid date';
+    }
+    if (record.dueAt && isNaN(new Date(record.dueAt).getTime())) {
+        return '"dueAt" is not a valid date';
+    }
+    if (typeof record.tags !== 'undefined' && !(Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string'))) {
+        return '"tags" must be a list of strings';
+    }
+    if (typeof record.priority !== 'undefined' && record.priority !== null && !PRIORITIES[record.priority]) {
+        return '"priority" must be 1, 2, 3 or 4';
+    }
+    if (typeof record.subtasks !== 'undefined' && !(Array.isArray(record.subtasks) && record.subtasks.every(sub => sub && typeof sub.text === 'string'))) {
+        return '"subtasks" must be a list of { text, completed } items';
+    }
+    return null;
+};
+
+// Parse a JSON or CSV file's text into plain records.
+// JSON may be a bare array or an object with a "tasks" array.
+const parseImportText = (text, fileName = '') => {
+    const trimmed = text.trim();
+    const looksLikeJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+    if (looksLikeJson) {
+        const data = JSON.parse(trimmed);
+        const records = Array.isArray(data) ? data : data && data.tasks;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON must be an array of tasks');
+        }
+        return records;
+    }
+    return csvToRecords(text);
+};
+
+// Import records into tasks.
+// mode: 'merge' keeps existing tasks and skips duplicate text (as addTask does),
+//       'replace' swaps the whole list.
+// Returns { imported, skipped, errors: [{ row, message }] }.
+const importTasks = (records, mode = 'merge') => {
+    const result = { imported: 0, skipped: 0, errors: [] };
+    const kept = mode === 'replace' ? [] : tasks.slice();
+    const seen = new Set(kept.map(task => task.text.toLowerCase()));
+    const incoming = [];
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+        const error = validateImportRecord(record);
+        if (error) {
+            result.errors.push({ row, message: error });
+            return;
+        }
+        const key = record.text.trim().toLowerCase();
+        if (seen.has(key)) {
+            result.skipped++;
+            return;
+        }
+        if (kept.length + incoming.length >= settings.maxTasks) {
+            result.errors.push({ row, message: `task limit of ${settings.maxTasks} reached` });
+            return;
+        }
+        seen.add(key);
+        // same normalization as loadTasks, with a fresh id so nothing collides
+        // (series links used the old ids, so they are remapped below)
+        incoming.push({ ...normalizeTask({ ...record, text: record.text.trim() }), id: ++taskId, importedId: record.id });
+    });
+
+    // point seriesId at the new id of the series' first task when it came along
+    const idMap = new Map(incoming.filter(t => Number.isFinite(t.importedId)).map(t => [t.importedId, t.id]));
+    incoming.forEach(t => {
+        t.seriesId = t.seriesId !== null && idMap.has(t.seriesId) ? idMap.get(t.seriesId) : null;
+        delete t.importedId;
+    });
+
+    result.imported = incoming.length;
+    if (incoming.length === 0) {
+        // nothing valid to import: a replace keeps the current tasks
+        if (mode === 'replace') {
+            result.errors.push({ row: 0, message: 'no valid rows - existing tasks were kept' });
+        }
+        return result;
+    }
+    recordHistory(mode === 'replace' ? 'Replace tasks from import' : 'Import tasks');
+    if (mode === 'replace') {
+        archiveTasks(tasks);
+    }
+    // imported tasks follow the existing ones in file order
+    tasks = kept.concat(incoming).map((t, i) => ({ ...t, position: i }));
+    saveTasks();
+    return result;
+};
+
+
+// ========== FORM HELPER FUNCTIONS ==========
+
+// Topic: Forms - Error display
+const showFormError = (inputId, message) => {
+    // DOM Manipulation: Get element and add error class
+    const $input = $(`#${inputId}`);
+    $input.addClass('input-error');
+    
+    // DOM Manipulation: Show or update error message
+    let $errorMsg = $input.next('.error-message');
+    if ($errorMsg.length === 0) {
+        $errorMsg = $('<div class="error-message"></div>').insertAfter($input);
+    }
+    $errorMsg.text(message).fadeIn();
+};
+
+// Topic: Forms - Clear error
+const clearFormError = (inputId) => {
+    const $input = $(`#${inputId}`);
+    $input.removeClass('input-error');
+    $input.next('.error-message').fadeOut(() => $(this).remove());
+};
+
+// Topic: Forms - Reset form
+const resetForm = () => {
+    // Native DOM: Get form element
+    const form = document.getElementById('taskForm') || document.querySelector('form');
+    if (form) {
+        form.reset();
+    }
+    
+    // jQuery: Clear input and remove errors
+    $('#taskInput').val('').focus();
+    clearFormError('taskInput');
+};
+
+// Topic: DOM Manipulation - Get form data
+const getFormData = () => {
+    return {
+        task: $('#taskInput').val(),
+        timestamp: new Date().toISOString()
+    };
+};
+
+// Topic: DOM Manipulation - Set form data
+const setFormData = (data) => {
+    $('#taskInput').val(data.task);
+};
+
+
+// ========== FUNCTIONS & LOOPS ==========
+
+// Rows currently in #taskList by task id: { key, el }. The key is the row's
+// markup without the countdown text, so a row is only rebuilt when something
+// other than its running timer changed.
+const renderedRows = new Map();
+// when renderTaskList last ran (the timer loop redraws at least once a minute)
+let lastRenderAt = 0;
+
+// Countdown text of a task's .timer-display
+const getTimerText = (task) => {
+    if (task.incomplete) return 'Expired';
+    if (task.pomodoro) {
+        // Pomodoro: current phase and count before the countdown
+        return isPomodoroDone(task) ? getPomodoroLabel(task) : `${getPomodoroLabel(task)} · ${formatTime(getRemainingSeconds(task))}`;
+    }
+    // running countdown, or paused / not started remainder
+    return formatTime(getRemainingSeconds(task));
+};
+
+// Write the countdown into a row, touching the DOM only when the text changed
+const setTimerText = (row, task) => {
+    const display = row.querySelector('.timer-display');
+    if (!display) return;
+    const text = getTimerText(task);
+    if (display.textContent !== text) display.textContent = text;
+};
+
+// Topic: DOM Manipulation - Per-tick update of the running timers only
+const updateTimerDisplays = () => {
+    tasks.forEach(task => {
+        const row = task.timerEnd && renderedRows.get(task.id);
+        if (row) setTimerText(row.el, task);
+    });
+};
+
+// Markup of one task row. `view` holds what is shared by all rows of a render.
+function buildTaskRowHtml(task, view) {
+    // Inline editor replaces the text and timer while editing
+    if (task.id === editingTaskId) {
+        return `<li class="editing" data-id="${task.id}">
+            <input type="text" class="edit-input" id="editText-${task.id}" data-id="${task.id}" autocomplete="off">
+            <input type="number" class="edit-timer" id="editTimer-${task.id}" data-id="${task.id}" min="0" placeholder="min" ${task.pomodoro ? 'disabled title="Set by the Pomodoro cycle"' : ''}>
+            <input type="datetime-local" class="edit-due" id="editDue-${task.id}" data-id="${task.id}" title="Due date (optional)">
+            <select class="edit-priority" id="editPriority-${task.id}" data-id="${task.id}" title="Priority">${view.priorityOptionsHtml}</select>
+            <button class="save-btn" data-id="${task.id}">Save</button>
+            <button class="cancel-btn" data-id="${task.id}">Cancel</button>
+        </li>`;
+    }
+
+    // calculate timer display (the countdown text is filled in by setTimerText)
+    let timerHtml = '';
+    if (task.timerSeconds && task.timerSeconds > 0) {
+        let phaseClass = '';
+        if (task.incomplete) {
+            phaseClass = 'timer-expired';
+        } else if (task.pomodoro) {
+            phaseClass = isPomodoroDone(task) ? 'pomodoro-done' : `pomodoro-${task.pomodoro.phase}`;
+        }
+        timerHtml = `<span class="timer-display ${phaseClass}" data-id="${task.id}"></span>`;
+        // add controls
+        const isRunning = !!task.timerEnd && !task.incomplete && !task.completed;
+        const startBtn = `<button class="timer-start" data-id="${task.id}" ${canStartTimer(task) ? '' : 'disabled'}>Start</button>`;
+        const pauseBtn = `<button class="timer-pause" data-id="${task.id}" ${!isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Pause</button>`;
+        const resetBtn = `<button class="timer-reset" data-id="${task.id}" ${task.timerSeconds ? '' : 'disabled'}>Reset</button>`;
+        timerHtml = `<span class="timer-display-container">${timerHtml}<span class="timer-controls">${startBtn}${pauseBtn}${resetBtn}</span></span>`;
+    }
+
+    // Due date badge - red when overdue, amber when due today
+    let dueHtml = '';
+    if (task.dueAt) {
+        const dueClass = isOverdue(task) ? 'due-overdue' : (!task.completed && isSameDay(task.dueAt, Date.now()) ? 'due-today' : '');
+        dueHtml = `<span class="due-display ${dueClass}" title="${new Date(task.dueAt).toLocaleString()}">Due ${formatDueDate(task.dueAt)}</span>`;
+    }
+
+    // Priority badge - click to raise the priority by one level (P1 wraps to P4)
+    const priority = PRIORITIES[task.priority];
+    const priorityHtml = `<button class="priority-badge priority-${task.priority}" data-id="${task.id}" title="Priority: ${priority.name} - click to change">${priority.label}</button>`;
+
+    // Repeat badge - click to stop repeating
+    const recurrenceHtml = task.recurrence
+        ? `<button class="recurrence-badge" data-id="${task.id}" title="Repeats: ${describeRecurrence(task.recurrence)} - click to stop repeating">🔁 ${describeRecurrence(task.recurrence)}</button>`
+        : '';
+
+    // Tag chips - clicking one filters by that tag
+    const tagsHtml = task.tags.length > 0
+        ? `<span class="task-tags">${task.tags.map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}</span>`
+        : '';
+
+    // Subtask toggle shows checklist progress, e.g. "☑ 2/5"
+    const { done, total } = getSubtaskProgress(task);
+    const isExpanded = expandedTaskIds.has(task.id);
+    const subtaskToggleHtml = `<button class="subtask-toggle ${total > 0 && done === total ? 'all-done' : ''}" data-id="${task.id}" aria-expanded="${isExpanded}" title="${isExpanded ? 'Hide' : 'Show'} subtasks">${total > 0 ? `☑ ${done}/${total}` : '+ Subtask'}</button>`;
+
+    const classes = [
+        task.completed && 'completed',
+        isOverdue(task) && 'overdue',
+        isExpanded && 'expanded',
+        task.id === flashTaskId && 'flash',
+        `priority-${task.priority}`,
+        selectMode && selectedTaskIds.has(task.id) && 'selected'
+    ].filter(Boolean).join(' ');
+
+    return `<li class="${classes}" data-id="${task.id}"${view.canReorder ? ' draggable="true"' : ''}>
+        ${selectMode ? `<input type="checkbox" class="select-checkbox" data-id="${task.id}" ${selectedTaskIds.has(task.id) ? 'checked' : ''} title="Select (Shift+click for a range)" aria-label="Select ${escapeHtml(task.text)}">` : ''}
+        ${view.canReorder ? `<button class="drag-handle" data-id="${task.id}" title="Drag, or focus and use Arrow Up/Down to reorder" aria-label="Reorder ${escapeHtml(task.text)}">⋮⋮</button>` : ''}
+        <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
+        ${priorityHtml}
+        <span class="task-text" data-id="${task.id}" title="Double-click to edit">${highlightMatches(task.text, view.searchTerms)}</span>
+        ${tagsHtml}
+        ${subtaskToggleHtml}
+        ${recurrenceHtml}
+        ${dueHtml}
+        ${timerHtml}
+        <button class="pomodoro-toggle ${task.pomodoro ? 'active' : ''}" data-id="${task.id}" ${task.completed ? 'disabled' : ''} title="${task.pomodoro ? 'Turn off Pomodoro mode' : 'Pomodoro mode: alternate work and break intervals'}" aria-pressed="${!!task.pomodoro}">🍅</button>
+        <button class="edit-btn" data-id="${task.id}">Edit</button>
+        ${view.moveOptionsHtml ? `<select class="move-list-select" data-id="${task.id}" title="Move to another list">${view.moveOptionsHtml}</select>` : ''}
+        <button class="delete-btn" data-id="${task.id}">Delete</button>
+    </li>`;
+}
+
+// Topic: DOM Manipulation - Create the element for a row
+function buildTaskRow(task, html, view) {
+    const $li = $($.parseHTML(html));
+    if (task.id === editingTaskId) {
+        // Set values with .val() so quotes in the text stay intact
+        $li.find('.edit-input').val([task.text, ...task.tags.map(tag => `#${tag}`)].join(' '));
+        $li.find('.edit-timer').val(task.timerSeconds ? Math.round(task.timerSeconds / 60) : '');
+        $li.find('.edit-due').val(toDueInputValue(task.dueAt));
+        $li.find('.edit-priority').val(task.priority);
+    } else if (expandedTaskIds.has(task.id)) {
+        $li.append(buildSubtaskPanel(task));
+    }
+    return $li[0];
+}
+
+// Topic: DOM Manipulation - Render list with jQuery
+// Regular function. Keyed by task id: unchanged rows stay in the DOM (with
+// their focus, hover and open controls), changed rows are rebuilt, and rows
+// are moved only when the order changed.
+function renderTaskList() {
     // DOM Selection: Get element by ID
     const $taskList = $('#taskList');
+    lastRenderAt = Date.now();
+
+    renderTagControls();
+    renderBatchBar();
+
+    // Keep typed-in values (editor, subtask inputs) and focus when a row is rebuilt
+    const drafts = captureListInputs($taskList);
+
+    const filteredTasks = sortTasks(getFilteredTasks());
+    // "Move to…" choices, only when there is another list to move to
+    const otherLists = lists.filter(l => l.id !== currentListId);
+    const view = {
+        priorityOptionsHtml: Object.entries(PRIORITIES)
+            .map(([level, { label, name }]) => `<option value="${level}">${label} ${name}</option>`)
+            .join(''),
+        moveOptionsHtml: otherLists.length > 0
+            ? `<option value="">Move to…</option>${otherLists.map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('')}`
+            : '',
+        // rows can only be dragged while the list shows the manual order
+        canReorder: settings.sortMode === 'manual',
+        // plain search terms to highlight inside .task-text
+        searchTerms: parseSearchQuery(currentSearch).terms
+    };
+    // the row keyboard shortcuts act on gets the tab stop
+    const tabStopId = filteredTasks.some(t => t.id === focusedTaskId)
+        ? focusedTaskId
+        : (filteredTasks.length > 0 ? filteredTasks[0].id : null);
+
+    if (filteredTasks.length === 0) {
+        // DOM Manipulation: Clear all children
+        renderedRows.clear();
+        $taskList.empty();
+        const message = tasks.length === 0 ? 'No tasks yet. Add one to get started!' : 'No tasks match the current filters.';
+        $taskList.html(`<div class="empty-state">${message}</div>`);
+        return;
+    }
+    $taskList.children(':not(li[data-id])').remove();
+
+    // drop the rows of tasks that are no longer shown
+    const shownIds = new Set(filteredTasks.map(t => t.id));
+    renderedRows.forEach((row, id) => {
+        if (!shownIds.has(id)) {
+            row.el.remove();
+            renderedRows.delete(id);
+        }
+    });
+
+    // forEach loop - walk the rows in display order, patching as we go
+    const list = $taskList[0];
+    let cursor = list.firstElementChild;
+    filteredTasks.forEach((task) => {
+        const html = buildTaskRowHtml(task, view);
+        // subtasks are rendered with jQuery, so they go into the key as data
+        const key = expandedTaskIds.has(task.id) && task.id !== editingTaskId ? html + JSON.stringify(task.subtasks) : html;
+        let row = renderedRows.get(task.id);
+        if (!row || row.key !== key) {
+            if (row) {
+                if (cursor === row.el) cursor = cursor.nextElementSibling;
+                row.el.remove();
+            }
+            row = { key, el: buildTaskRow(task, html, view) };
+            renderedRows.set(task.id, row);
+        }
+        // Topic: DOM Manipulation - Insert the row at its place
+        if (row.el === cursor) {
+            cursor = cursor.nextElementSibling;
+        } else {
+            list.insertBefore(row.el, cursor);
+        }
+        row.el.tabIndex = task.id === tabStopId ? 0 : -1;
+        setTimerText(row.el, task);
+    });
+
+    restoreListInputs(drafts);
+}
+
+// Topic: DOM Manipulation - Build the expandable checklist for one task
+function buildSubtaskPanel(task) {
+    const $panel = $('<div class="subtask-panel">');
+    const $list = $('<ul class="subtask-list">').appendTo($panel);
+    task.subtasks.forEach(sub => {
+        $('<li>')
+            .toggleClass('completed', sub.completed)
+            .html(`
+                <input type="checkbox" class="subtask-checkbox" data-task-id="${task.id}" data-sub-id="${sub.id}" ${sub.completed ? 'checked' : ''}>
+                <span class="subtask-text">${escapeHtml(sub.text)}</span>
+                <button class="subtask-delete" data-task-id="${task.id}" data-sub-id="${sub.id}" aria-label="Delete subtask">×</button>
+            `)
+            .appendTo($list);
+    });
+    $panel.append(`
+        <div class="subtask-add-row">
+            <input type="text" class="subtask-input" id="subtaskInput-${task.id}" data-id="${task.id}" placeholder="Add a subtask..." autocomplete="off">
+            <button class="subtask-add" data-id="${task.id}">Add</button>
+        </div>
+    `);
+    return $panel;
+}
+
+// Remember values, focus and caret of inputs with an id inside the list
+function captureListInputs($taskList) {
+    const values = {};
+    $taskList.find('input[id]').not('[type="checkbox"]').each(function() {
+        values[this.id] = $(this).val();
+    });
+    const active = document.activeElement;
+    const focusId = active && active.id && $.contains($taskList[0], active) ? active.id : null;
+    let selection = null;
+    try {
+        selection = focusId ? [active.selectionStart, active.selectionEnd] : null;
+    } catch (error) {
+        // number/date inputs have no text selection
+    }
+    // focus on a row, or on a control without an id inside it (e.g. Start)
+    let focusRow = null;
+    let focusClass = null;
+    if (!focusId && active && $.contains($taskList[0], active)) {
+        const $row = $(active).closest('li[data-id]');
+        focusRow = $row.attr('data-id') || null;
+        focusClass = active === $row[0] ? null : (active.classList[0] || null);
+    }
+    return { values, focusId, selection, focusRow, focusClass };
+}
+
+// Put captured values back on the rebuilt inputs and restore focus
+function restoreListInputs({ values, focusId, selection, focusRow, focusClass }) {
+    Object.entries(values).forEach(([id, value]) => {
+        $(`#${id}`).val(value);
+    });
+    if (focusId) {
+        const $input = $(`#${focusId}`).focus();
+        if ($input.length && selection && selection[0] !== null) {
+            try {
+                $input[0].setSelectionRange(selection[0], selection[1]);
+            } catch (error) {
+                // not a text input
+            }
+        }
+    } else if (focusRow) {
+        const $row = $(`#taskList li[data-id="${focusRow}"]`);
+        const $control = focusClass ? $row.find(`.${focusClass}`).first() : $();
+        ($control.length ? $control : $row).focus();
+    }
+}
+
+// Topic: DOM Manipulation - Tag filter bar and tag chooser
+// Rebuilt only when the set of tags changes so an open <select> is not reset
+function renderTagControls() {
+    const allTags = getAllTags();
+    // forget a tag filter whose last task is gone
+    if (currentTagFilter && !allTags.includes(currentTagFilter)) {
+        currentTagFilter = null;
+    }
+
+    const $bar = $('#tagFilterBar');
+    const key = allTags.join(' ');
+    if ($bar.data('tags') !== key) {
+        $bar.data('tags', key).empty();
+        allTags.forEach(tag => {
+            $('<button class="tag-chip tag-filter">').attr('data-tag', tag).text(`#${tag}`).appendTo($bar);
+        });
+
+        const $picker = $('#tagPicker');
+        $picker.find('option:not(:first)').remove();
+        allTags.forEach(tag => $('<option>').val(tag).text(`#${tag}`).appendTo($picker));
+        $picker.prop('disabled', allTags.length === 0);
+    }
+    $bar.toggle(allTags.length > 0);
+    $bar.find('.tag-filter').each(function() {
+        $(this).toggleClass('active', $(this).attr('data-tag') === currentTagFilter);
+    });
+}
+
+// Topic: DOM Manipulation - Switch a row into edit mode
+const startEditing = (id) => {
+    editingTaskId = id;
+    renderTaskList();
+    const $input = $(`#editText-${id}`);
+    $input.focus();
+    // place the caret at the end of the text
+    const length = $input.val().length;
+    $input[0].setSelectionRange(length, length);
+};
+
+// Leave edit mode without saving
+const cancelEditing = () => {
+    editingTaskId = null;
+    renderTaskList();
+};
+
+// Save the inline editor values; stays in edit mode when validation fails
+const saveEditing = (id) => {
+    const text = $(`#editText-${id}`).val();
+    const minutes = parseInt($(`#editTimer-${id}`).val(), 10) || 0;
+    const dueAt = parseDueInput($(`#editDue-${id}`).val());
+    const priority = parseInt($(`#editPriority-${id}`).val(), 10);
+    if (editTask(id, text, minutes, dueAt, priority)) {
+        editingTaskId = null;
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+    }
+};
+
+// Topic: DOM Manipulation - Native DOM methods example
+function renderTaskListNative() {
+    // Native DOM: Get element by ID
+    const taskList = document.getElementById('taskList');
+    
+    // Native DOM: Clear content
+    taskList.innerHTML = '';
+
+    const filteredTasks = getFilteredTasks();
+
+    // forEach with native DOM
+    filteredTasks.forEach((task) => {
+        // Native DOM: Create new element
+        const li = document.createElement('li');
+        
+        // Native DOM: Add class
+        if (task.completed) {
+            li.classList.add('completed');
+        }
+        
+        // Native DOM: Build timer HTML
+        let timerHtml = '';
+        if (task.timerSeconds && task.timerSeconds > 0) {
+            if (task.incomplete) {
+                timerHtml = `<span class="timer-display timer-expired" data-id="${task.id}">Expired</span>`;
+            } else if (task.timerEnd) {
+                const remaining = Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
+                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(remaining)}</span>`;
+            } else {
+                const rem = task.timerRemainingSeconds || task.timerSeconds;
+                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(rem)}</span>`;
+            }
+            const isRunning = !!task.timerEnd && !task.incomplete && !task.completed;
+            const startBtn = `<button class="timer-start" data-id="${task.id}" ${canStartTimer(task) ? '' : 'disabled'}>Start</button>`;
+            const pauseBtn = `<button class="timer-pause" data-id="${task.id}" ${!isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Pause</button>`;
+            const resetBtn = `<button class="timer-reset" data-id="${task.id}" ${task.timerSeconds ? '' : 'disabled'}>Reset</button>`;
+            timerHtml = `<span class="timer-display-container">${timerHtml}<span class="timer-controls">${startBtn}${pauseBtn}${resetBtn}</span></span>`;
+        }
+
+        // Native DOM: Set HTML
+        li.innerHTML = `
+            <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
+            <span class="task-text">${escapeHtml(task.text)}</span>
+            ${timerHtml}
+            <button class="delete-btn" data-id="${task.id}">Delete</button>
+        `;
+        
+        // Native DOM: Append child
+        taskList.appendChild(li);
+    });
+}
+
+// Topic: DOM Manipulation - Update elements with jQuery
+// Update statistics display; withReports = false leaves an open time
+// report and dashboard as they are (the per-second timer path)
+function updateStats(withReports = true) {
+    const { total, completed, remaining, timeSpentSeconds } = getStats();
+    
+    // DOM Manipulation: Update text content
+    $('#totalTasks').text(total);
+    $('#completedTasks').text(completed);
+    $('#remainingTasks').text(remaining);
+    $('#timeSpent').text(formatDuration(timeSpentSeconds));
+    
+    // keep an open time report / dashboard in step with the data
+    if (withReports && $('#timeReportDetails').prop('open')) {
+        renderTimeReport();
+    }
+    if (withReports && $('#dashboardDetails').prop('open')) {
+        renderDashboard();
+    }
+    
+    // DOM Manipulation: Set element properties
+    $('#clearBtn').prop('disabled', completed === 0);
+    
+    // DOM Manipulation: Toggle visibility based on condition
+    if (total === 0) {
+        $('.stats-section').hide();
+    } else {
+        $('.stats-section').show();
+    }
+}
+
+// Topic: DOM Manipulation - Build the time report with jQuery
+function renderTimeReport() {
+    const report = getTimeReport();
+    const $report = $('#timeReport').empty();
+
+    // Small helper: a titled table from rows of [label, value]
+    const addTable = (title, rows, emptyText) => {
+        $('<h4>').text(title).appendTo($report);
+        if (rows.length === 0) {
+            $('<p class="report-empty">').text(emptyText).appendTo($report);
+            return;
+        }
+        const $table = $('<table class="report-table">').appendTo($report);
+        rows.forEach(([label, value]) => {
+            $('<tr>')
+                .append($('<td>').text(label))
+                .append($('<td class="report-value">').text(value))
+                .appendTo($table);
+        });
+    };
+
+    addTable('Time per day', report.byDay.map(({ day, seconds }) => [day, formatDuration(seconds)]), 'No tracked time yet. Start a timer to log work.');
+    addTable('Time per task', report.byTask.map(({ task, seconds }) => [task.text, formatDuration(seconds)]), 'No tracked time yet.');
+    addTable(`Expired (${report.expired.length})`, report.expired.map(task => [task.text, formatDuration(getTimeSpentSeconds(task))]), 'No timers have expired.');
+    addTable(`Completed in time (${report.completedInTime.length})`, report.completedInTime.map(task => [task.text, formatDuration(getTimeSpentSeconds(task))]), 'No timed tasks completed yet.');
+}
+
+// Topic: DOM Manipulation - Inline SVG bar chart (no libraries, no network)
+// Two bars per day: created (blue) and completed (green)
+function buildTrendChart(trend) {
+    const width = 440;
+    const height = 140;
+    const padding = { top: 10, right: 6, bottom: 20, left: 24 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(1, ...trend.map(d => Math.max(d.created, d.completed)));
+    const slot = plotWidth / trend.length;
+    const barWidth = Math.max(1, slot / 2 - 1);
+    const y = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const bars = trend.map((d, i) => {
+        const x = padding.left + i * slot;
+        return `
+            <rect class="bar-created" x="${x.toFixed(1)}" y="${y(d.created).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(padding.top + plotHeight - y(d.created)).toFixed(1)}"><title>${d.day}: ${d.created} created</title></rect>
+            <rect class="bar-completed" x="${(x + barWidth).toFixed(1)}" y="${y(d.completed).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(padding.top + plotHeight - y(d.completed)).toFixed(1)}"><title>${d.day}: ${d.completed} completed</title></rect>`;
+    }).join('');
+
+    // label the first, middle and last day
+    const labels = [0, Math.floor(trend.length / 2), trend.length - 1].map(i => `
+        <text class="axis-label" x="${(padding.left + i * slot).toFixed(1)}" y="${height - 5}">${trend[i].day.slice(5)}</text>`).join('');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Tasks created and completed per day, last ${trend.length} days">
+            <line class="axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}"></line>
+            <text class="axis-label" x="2" y="${padding.top + 8}">${maxValue}</text>
+            <text class="axis-label" x="2" y="${padding.top + plotHeight}">0</text>
+            ${bars}
+            ${labels}
+        </svg>`;
+}
+
+// Topic: DOM Manipulation - Render the statistics dashboard
+function renderDashboard() {
+    const stats = getDashboardStats();
+    const expiryText = stats.expiryRate === null
+        ? '—'
+        : `${Math.round(stats.expiryRate * 100)}%`;
+    const avgText = stats.avgCompletionSeconds === null ? '—' : formatDuration(stats.avgCompletionSeconds);
+
+    $('#dashboard').html(`
+        <div class="dashboard-metrics">
+            <div class="metric"><span class="metric-value">${stats.streak}</span><span class="metric-label">day streak</span></div>
+            <div class="metric"><span class="metric-value">${avgText}</span><span class="metric-label">avg. time to complete</span></div>
+            <div class="metric" title="${stats.expiredCount} of ${stats.finishedTimedCount} finished timed tasks"><span class="metric-value">${expiryText}</span><span class="metric-label">timer expiry rate</span></div>
+        </div>
+        <h4>Created vs. completed (last ${TREND_DAYS} days)</h4>
+        ${buildTrendChart(stats.trend)}
+        <div class="chart-legend">
+            <span class="legend-created">Created</span>
+            <span class="legend-completed">Completed</span>
+        </div>
+    `);
+}
+
+// Topic: DOM Manipulation - Update with native DOM
+function updateStatsNative() {
+    const { total, completed, remaining } = getStats();
+    
+    // Native DOM: Update text content
+    document.getElementById('totalTasks').textContent = total;
+    document.getElementById('completedTasks').textContent = completed;
+    document.getElementById('remainingTasks').textContent = remaining;
     
-    // DOM Manipulation: Clear all children
-    $taskList.empty();
+    // Native DOM: Set element properties
+    document.getElementById('clearBtn').disabled = (completed === 0);
+}
 
-    const filteredTasks = getFilteredTasks();
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
 
-    if (filteredTasks.length === 0) {
-        // DOM Manipulation: Set HTML content
-        $taskList.html('<div class="empty-state">No tasks yet. Add one to get started!</div>');
-        return;
+// Format seconds to MM:SS
+function formatTime(totalSeconds) {
+    const s = parseInt(totalSeconds, 10) || 0;
+    const minutes = Math.floor(s / 60);
+    const seconds = s % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// ========== DUE DATES ==========
+
+// A task is overdue when its due date has passed and it is not done
+const isOverdue = (task) => !!task.dueAt && !task.completed && task.dueAt < Date.now();
+
+// Compare two timestamps by local calendar day
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+// Parse a datetime-local input value ("2024-05-01T14:30", local time) to a timestamp
+const parseDueInput = (value) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+};
+
+// Format a timestamp for a datetime-local input (local time, no seconds)
+const toDueInputValue = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const local = new Date(timestamp - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+};
+
+// Short due label: time only for today, otherwise day and time
+const formatDueDate = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (isSameDay(timestamp, Date.now())) {
+        return `today ${time}`;
     }
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+};
 
-    // forEach loop - iterate through array
-    filteredTasks.forEach((task) => {
-        // Topic: DOM Manipulation - Create elements
-        // calculate timer display
-        let timerHtml = '';
-        if (task.timerSeconds && task.timerSeconds > 0) {
-            if (task.incomplete) {
-                timerHtml = `<span class="timer-display timer-expired" data-id="${task.id}">Expired</span>`;
-            } else if (task.timerEnd) {
-                // remaining seconds
-                const remaining = Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
-                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(remaining)}</span>`;
-            } else {
-                // has duration but not running (paused or not started)
-                const rem = task.timerRemainingSeconds || task.timerSeconds;
-                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(rem)}</span>`;
+// Show reminder / overdue toasts once per due date.
+// Returns true when a task's notification flags changed.
+const checkDueDates = (now, list = tasks, listId = currentListId) => {
+    let changed = false;
+    const leadMs = (settings.reminderLeadMinutes || 0) * 60000;
+    for (const task of list) {
+        if (!task.dueAt || task.completed) continue;
+        if (now >= task.dueAt) {
+            if (!task.overdueNotified) {
+                task.overdueNotified = true;
+                // an overdue task no longer needs its reminder
+                task.reminderSent = true;
+                changed = true;
+                showToast(`Overdue: ${task.text}${otherListSuffix(listId)}`);
             }
-            // add controls
-            const isRunning = !!task.timerEnd && !task.incomplete && !task.completed;
-            const startBtn = `<button class="timer-start" data-id="${task.id}" ${isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Start</button>`;
-            const pauseBtn = `<button class="timer-pause" data-id="${task.id}" ${!isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Pause</button>`;
-            const resetBtn = `<button class="timer-reset" data-id="${task.id}" ${task.timerSeconds ? '' : 'disabled'}>Reset</button>`;
-            timerHtml = `<span class="timer-display-container">${timerHtml}<span class="timer-controls">${startBtn}${pauseBtn}${resetBtn}</span></span>`;
+        } else if (leadMs > 0 && !task.reminderSent && now >= task.dueAt - leadMs) {
+            task.reminderSent = true;
+            changed = true;
+            const minutesLeft = Math.max(1, Math.round((task.dueAt - now) / 60000));
+            showToast(`Due in ${minutesLeft} min: ${task.text}${otherListSuffix(listId)}`);
         }
+    }
+    return changed;
+};
 
-        const $li = $('<li>')
-            .addClass(task.completed ? 'completed' : '')
-            .html(`
-                <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
-                <span class="task-text">${escapeHtml(task.text)}</span>
-                ${timerHtml}
-                <button class="delete-btn" data-id="${task.id}">Delete</button>
-            `);
-        
-        // Topic: DOM Manipulation - Append child element
-        $taskList.append($li);
+// ========== MISSED TIMERS ==========
+
+// A timer that ran out longer ago than this was missed - the page was closed
+// or the computer asleep - and goes into the "While you were away" summary
+// instead of alerting on its own
+const MISSED_TIMER_MS = 60 * 1000;
+// A wall clock moving this much more or less than the monotonic clock
+// between two ticks was changed (or the computer slept)
+const CLOCK_JUMP_MS = 5000;
+
+// Missed timers not dismissed yet: [{ listId, id, text, endedAt, message }],
+// kept under AWAY_KEY so a reload (or another tab) still shows them
+const AWAY_KEY = 'awaySummary';
+let awayExpired = [];
+// Date.now() and performance.now() at the previous tick
+let lastClockCheck = null;
+
+// Monotonic milliseconds: never set back by clock changes
+const monotonicNow = () => (window.performance && performance.now ? performance.now() : Date.now());
+
+// How far the wall clock moved against the monotonic clock since the last
+// call, or 0 when within CLOCK_JUMP_MS. Positive jumps are not corrected:
+// sleep looks the same (some browsers pause performance.now() while the
+// computer sleeps) and the time really did pass.
+const detectClockJump = () => {
+    const check = { wall: Date.now(), mono: monotonicNow() };
+    const last = lastClockCheck;
+    lastClockCheck = check;
+    if (!last) return 0;
+    const jump = (check.wall - last.wall) - (check.mono - last.mono);
+    return Math.abs(jump) >= CLOCK_JUMP_MS ? jump : 0;
+};
+
+// The clock was set back by -jump ms: move running timers (and their open
+// work session) with it so they keep the time they had left.
+// Returns true when a timer moved.
+const shiftRunningTimers = (jump, list = tasks) => {
+    let shifted = false;
+    list.forEach(task => {
+        if (!task.timerEnd || task.completed || task.incomplete) return;
+        task.timerEnd += jump;
+        const open = task.sessions[task.sessions.length - 1];
+        if (open && open.type === 'start') open.at += jump;
+        shifted = true;
+    });
+    return shifted;
+};
+
+// Expire every running timer whose end has passed, at the moment it really
+// ended; Pomodoro timers go through every phase that ran out back to back.
+// Timers that ended within MISSED_TIMER_MS alert now, older ones are
+// returned as `missed` for the summary.
+const expireTimers = (now, list = tasks, listId = currentListId) => {
+    let changed = false;
+    const missed = [];
+    // lowest priority first, so the last (visible) toast is the most important one
+    for (const task of list.slice().sort((a, b) => b.priority - a.priority)) {
+        if (!task.timerEnd || task.completed || task.incomplete || now < task.timerEnd) continue;
+        const endedAt = task.timerEnd;
+        const alert = now - endedAt < MISSED_TIMER_MS;
+        changed = true;
+        if (task.pomodoro) {
+            // Pomodoro tasks move to the next phase instead of expiring
+            while (task.timerEnd && now >= task.timerEnd) {
+                advancePomodoro(task, task.timerEnd, alert, listId);
+            }
+            if (!alert) missed.push({ listId, id: task.id, text: task.text, endedAt, message: getPomodoroLabel(task) });
+            continue;
+        }
+        // log the moment the timer actually ran out
+        logTimerEvent(task, 'expire', endedAt);
+        task.incomplete = true;
+        // clear timerEnd to stop further updates
+        task.timerEnd = null;
+        // set remaining to 0
+        task.timerRemainingSeconds = 0;
+        if (alert) {
+            // toast, plus desktop notification and chime when enabled
+            alertTask(task, 'Timer expired', `⏰ Timer expired (${PRIORITIES[task.priority].label})`, listId);
+        } else {
+            missed.push({ listId, id: task.id, text: task.text, endedAt, message: 'Timer expired' });
+        }
+    }
+    return { changed, missed };
+};
+
+// Timers and due dates of the lists not on screen, read from storage and
+// written back when something changed. Returns their missed timers.
+const checkOtherLists = (now, clockJump = 0) => {
+    const missed = [];
+    lists.forEach(list => {
+        if (list.id === currentListId) return;
+        const listTasks = readListTasks(list.id);
+        let changed = clockJump < 0 && shiftRunningTimers(clockJump, listTasks);
+        const expired = expireTimers(now, listTasks, list.id);
+        checkTimerWarnings(now, listTasks, list.id);
+        if (checkDueDates(now, listTasks, list.id) || expired.changed) {
+            changed = true;
+        }
+        if (changed) {
+            saveListTasks(list.id, listTasks);
+        }
+        missed.push(...expired.missed);
+    });
+    return missed;
+};
+
+const loadAwayExpired = () => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(AWAY_KEY) || '[]');
+        awayExpired = Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.error('Error loading away summary:', error);
+        awayExpired = [];
+    }
+};
+
+// Replace the summary entries, store and show them
+const setAwayExpired = (entries) => {
+    awayExpired = entries;
+    try {
+        if (entries.length > 0) {
+            localStorage.setItem(AWAY_KEY, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(AWAY_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving away summary:', error);
+    }
+    renderAwaySummary();
+};
+
+// Add missed timers to the summary, with one chime and notification for all
+const addAwayExpired = (missed) => {
+    if (missed.length === 0) return;
+    setAwayExpired(awayExpired
+        .filter(entry => !missed.some(m => m.listId === entry.listId && m.id === entry.id))
+        .concat(missed)
+        .sort((a, b) => a.endedAt - b.endedAt));
+    const title = `⏰ ${missed.length} timer${missed.length === 1 ? '' : 's'} ran out while you were away`;
+    // clicking the notification shows the first of them
+    notifyTask({ id: missed[0].id, text: missed.map(m => m.text).join(', ') }, title, missed[0].listId);
+    playChime();
+};
+
+// Topic: DOM Manipulation - "While you were away" panel
+const renderAwaySummary = () => {
+    const $list = $('#awaySummaryList').empty();
+    awayExpired.forEach(entry => {
+        const $item = $('<li>').appendTo($list);
+        $('<button type="button" class="away-task">')
+            .attr({ 'data-list': entry.listId, 'data-id': entry.id })
+            .text(entry.text)
+            .appendTo($item);
+        $('<span class="away-detail">')
+            .text(` - ${entry.message}, ${formatDueDate(entry.endedAt)}`)
+            .attr('title', new Date(entry.endedAt).toLocaleString())
+            .appendTo($item);
     });
+    $('#awaySummary').prop('hidden', awayExpired.length === 0);
+};
+
+const dismissAwaySummary = () => setAwayExpired([]);
+
+// Check timers periodically; mark tasks as incomplete when timer expires.
+// With render = false (hidden tab) the page is left alone.
+function checkTimers(render = true) {
+    const now = Date.now();
+    let changed = false;
+    // every tab tracks the clock, so the baseline is fresh when it takes the lead
+    const clockJump = detectClockJump();
+    // Only the tab holding the timer lead expires timers and sends reminders,
+    // for every list; other tabs pick the result up through the storage event
+    if (claimTimerLead(now)) {
+        if (clockJump < 0 && shiftRunningTimers(clockJump)) {
+            changed = true;
+        }
+        const expired = expireTimers(now);
+        if (expired.changed) {
+            changed = true;
+        }
+        checkTimerWarnings(now);
+        // Due date reminders ride on the same tick
+        if (checkDueDates(now)) {
+            changed = true;
+        }
+        addAwayExpired(expired.missed.concat(checkOtherLists(now, clockJump)));
+    }
+    if (changed) {
+        saveTasks();
+    }
+    if (!render) return;
+    if (changed) {
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+    } else {
+        // once a minute, let "due today" / overdue badges catch up with the
+        // clock; otherwise only the countdowns move
+        if (now - lastRenderAt >= 60 * 1000) {
+            renderTaskList();
+        } else {
+            updateTimerDisplays();
+        }
+        // running timers add to the tracked time; the reports wait for a
+        // real change, rebuilding them every second is too costly
+        if (tasks.some(task => task.timerEnd)) {
+            updateStats(false);
+        }
+    }
 }
 
-// Topic: DOM Manipulation - Native DOM methods example
-function renderTaskListNative() {
-    // Native DOM: Get element by ID
-    const taskList = document.getElementById('taskList');
+// ========== TIMER LOOP ==========
+
+// checkTimers runs on a timeout lined up with the clock, so all countdowns
+// tick together, and does its DOM work in the next animation frame. Hidden
+// tabs get no frames: there only the timer logic runs (expiry, reminders,
+// the timer lead) and the list is redrawn when the tab is shown again.
+let timerTimeout = null;
+let timerFrame = null;
+
+const scheduleTimerTick = () => {
+    clearTimeout(timerTimeout);
+    const interval = settings.timerInterval;
+    timerTimeout = setTimeout(runTimerTick, interval - (Date.now() % interval));
+};
+
+const runTimerTick = () => {
+    scheduleTimerTick();
+    if (document.hidden) {
+        checkTimers(false);
+        return;
+    }
+    cancelAnimationFrame(timerFrame);
+    timerFrame = requestAnimationFrame(() => checkTimers());
+};
+
+// Restart the timer loop so a new interval takes effect
+const restartTimerLoop = () => {
+    cancelAnimationFrame(timerFrame);
+    scheduleTimerTick();
+};
+
+// Topic: Event Handling - visibilitychange: catch up after being hidden
+const handleVisibilityChange = () => {
+    if (document.hidden) return;
+    renderTaskList();
+    updateStats();
+    updateStorageStats();
+};
+
+// Topic: Forms - Form submission handler
+// Arrow function - handles form submission
+const handleAddTask = () => {
+    const $input = $('#taskInput');
+    const text = $input.val();
     
-    // Native DOM: Clear content
-    taskList.innerHTML = '';
+    if (addTask(text)) {
+        $input.val('').focus();
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+    }
+};
 
-    const filteredTasks = getFilteredTasks();
+// Refresh everything that depends on tasks after undo/redo
+const refreshAfterHistory = (label, verb) => {
+    if (!label) return;
+    editingTaskId = null;
+    renderTaskList();
+    updateStats();
+    updateStorageStats();
+    showToast(`${verb}: ${label}`);
+};
 
-    // forEach with native DOM
-    filteredTasks.forEach((task) => {
-        // Native DOM: Create new element
-        const li = document.createElement('li');
-        
-        // Native DOM: Add class
-        if (task.completed) {
-            li.classList.add('completed');
+const handleUndo = () => refreshAfterHistory(undo(), 'Undone');
+
+const handleRedo = () => refreshAfterHistory(redo(), 'Redone');
+
+// Topic: DOM Manipulation - Set element properties
+// Enable/disable the Undo/Redo buttons and describe what they will do
+const updateHistoryButtons = () => {
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    $('#undoBtn')
+        .prop('disabled', !lastUndo)
+        .attr('title', lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo');
+    $('#redoBtn')
+        .prop('disabled', !lastRedo)
+        .attr('title', lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo');
+};
+
+// Topic: DOM Manipulation - Show import results with per-row errors
+const showImportReport = (fileName, result) => {
+    const $report = $('#importReport').empty();
+    $('<p>').text(`${fileName}: ${result.imported} imported, ${result.skipped} duplicate${result.skipped === 1 ? '' : 's'} skipped, ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}`).appendTo($report);
+    if (result.errors.length > 0) {
+        const $list = $('<ul>').appendTo($report);
+        result.errors.forEach(({ row, message }) => {
+            $('<li>').text(`Row ${row}: ${message}`).appendTo($list);
+        });
+    }
+    $report.toggleClass('has-errors', result.errors.length > 0).show();
+};
+
+// Topic: Forms - File input handler
+// Read the chosen file and import it in the selected mode
+const handleImportFile = (file) => {
+    const mode = $('#importMode').val();
+    if (mode === 'replace' && tasks.length > 0 && !confirm(`Replace all ${tasks.length} existing tasks with the imported file?`)) {
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+        let records;
+        try {
+            records = parseImportText(reader.result, file.name);
+        } catch (error) {
+            console.error('Error parsing import file:', error);
+            showImportReport(file.name, { imported: 0, skipped: 0, errors: [{ row: 0, message: `could not read file - ${error.message}` }] });
+            return;
         }
-        
-        // Native DOM: Build timer HTML
-        let timerHtml = '';
-        if (task.timerSeconds && task.timerSeconds > 0) {
-            if (task.incomplete) {
-                timerHtml = `<span class="timer-display timer-expired" data-id="${task.id}">Expired</span>`;
-            } else if (task.timerEnd) {
-                const remaining = Math.max(0, Math.round((task.timerEnd - Date.now()) / 1000));
-                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(remaining)}</span>`;
-            } else {
-                const rem = task.timerRemainingSeconds || task.timerSeconds;
-                timerHtml = `<span class="timer-display" data-id="${task.id}">${formatTime(rem)}</span>`;
-            }
-            const isRunning = !!task.timerEnd && !task.incomplete && !task.completed;
-            const startBtn = `<button class="timer-start" data-id="${task.id}" ${isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Start</button>`;
-            const pauseBtn = `<button class="timer-pause" data-id="${task.id}" ${!isRunning || task.completed || task.incomplete ? 'disabled' : ''}>Pause</button>`;
-            const resetBtn = `<button class="timer-reset" data-id="${task.id}" ${task.timerSeconds ? '' : 'disabled'}>Reset</button>`;
-            timerHtml = `<span class="timer-display-container">${timerHtml}<span class="timer-controls">${startBtn}${pauseBtn}${resetBtn}</span></span>`;
+        const result = importTasks(records, mode);
+        editingTaskId = null;
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+        showImportReport(file.name, result);
+        showToast(`Imported ${result.imported} task${result.imported === 1 ? '' : 's'}`);
+    };
+    reader.onerror = () => {
+        showImportReport(file.name, { imported: 0, skipped: 0, errors: [{ row: 0, message: 'could not read file' }] });
+    };
+    reader.readAsText(file);
+};
+
+// Topic: DOM Manipulation - Update display with data
+// Update storage stats display
+const updateStorageStats = () => {
+    // counted when the list was last read or written, not re-parsed here
+    $('#storageStats').text(storedTaskCount);
+};
+
+// ========== BULK SELECTION ==========
+
+// Run several single-task actions as one change: one undo entry, one save
+const runBatch = (label, fn) => {
+    recordHistory(label);
+    batchDepth++;
+    try {
+        fn();
+    } finally {
+        batchDepth--;
+        saveTasks();
+    }
+};
+
+// Selected tasks, in list order
+const getSelectedTasks = () => tasks.filter(task => selectedTaskIds.has(task.id));
+
+// Select (or deselect) one task; with `range`, every task shown between the
+// last clicked one and this one gets the same state
+const selectTask = (id, selected, range = false) => {
+    let ids = [id];
+    if (range && selectionAnchorId !== null) {
+        const shown = sortTasks(getFilteredTasks()).map(t => t.id);
+        const from = shown.indexOf(selectionAnchorId);
+        const to = shown.indexOf(id);
+        if (from !== -1 && to !== -1) {
+            ids = shown.slice(Math.min(from, to), Math.max(from, to) + 1);
+        }
+    }
+    ids.forEach(taskId => {
+        if (selected) {
+            selectedTaskIds.add(taskId);
+        } else {
+            selectedTaskIds.delete(taskId);
+        }
+    });
+    selectionAnchorId = id;
+};
+
+// Select every task the current filters show
+const selectAllShown = () => {
+    getFilteredTasks().forEach(task => selectedTaskIds.add(task.id));
+};
+
+const clearSelection = () => {
+    selectedTaskIds.clear();
+    selectionAnchorId = null;
+};
+
+// Batch actions on the selected tasks. Each returns how many tasks it changed.
+const BATCH_ACTIONS = {
+    complete: { label: 'Complete', applies: task => !task.completed, run: task => toggleTask(task.id) },
+    reopen: { label: 'Reopen', applies: task => task.completed, run: task => toggleTask(task.id) },
+    start: { label: 'Start timers', applies: canStartTimer, run: task => startTimer(task.id) },
+    pause: { label: 'Pause timers', applies: task => !!task.timerEnd, run: task => pauseTimer(task.id) },
+    reset: { label: 'Reset timers', applies: task => task.timerSeconds > 0, run: task => resetTimer(task.id) }
+};
+
+const runBatchAction = (name) => {
+    const action = BATCH_ACTIONS[name];
+    const targets = getSelectedTasks().filter(action.applies);
+    if (targets.length === 0) return 0;
+    runBatch(`${action.label} (${targets.length})`, () => targets.forEach(action.run));
+    return targets.length;
+};
+
+const deleteSelected = () => {
+    const count = selectedTaskIds.size;
+    if (count === 0) return 0;
+    runBatch(`Delete ${count} task${count === 1 ? '' : 's'}`, () => {
+        archiveTasks(getSelectedTasks());
+        tasks = tasks.filter(task => !selectedTaskIds.has(task.id));
+    });
+    clearSelection();
+    return count;
+};
+
+const setSelectedPriority = (priority) => {
+    const targets = getSelectedTasks().filter(task => task.priority !== priority);
+    if (targets.length === 0) return 0;
+    runBatch(`Set ${PRIORITIES[priority].label} (${targets.length})`, () => {
+        targets.forEach(task => {
+            task.priority = priority;
+        });
+    });
+    return targets.length;
+};
+
+// "work, #urgent" -> adds 'work' and 'urgent' to every selected task
+const addTagsToSelected = (input) => {
+    const tags = normalizeTags(input.split(/[\s,]+/));
+    const targets = getSelectedTasks().filter(task => tags.some(tag => !task.tags.includes(tag)));
+    if (targets.length === 0) return 0;
+    runBatch(`Add tags (${targets.length})`, () => {
+        targets.forEach(task => {
+            task.tags = normalizeTags([...task.tags, ...tags]);
+        });
+    });
+    return targets.length;
+};
+
+// Topic: DOM Manipulation - batch bar shown in select mode
+const renderBatchBar = () => {
+    // forget selected tasks that are gone (deleted, undone, synced away)
+    selectedTaskIds.forEach(id => {
+        if (!tasks.some(task => task.id === id)) selectedTaskIds.delete(id);
+    });
+    const count = selectedTaskIds.size;
+    $('#selectModeBtn').toggleClass('active', selectMode).attr('aria-pressed', selectMode);
+    $('#batchBar').prop('hidden', !selectMode);
+    $('#batchCount').text(`${count} selected`);
+    $('#batchBar .batch-action').prop('disabled', count === 0);
+};
+
+// Redraw after a batch: one render for the whole batch
+const refreshAfterBatch = (message) => {
+    renderTaskList();
+    updateStats();
+    updateStorageStats();
+    if (message) showToast(message, { label: 'Undo', onClick: handleUndo });
+};
+
+// ========== KEYBOARD NAVIGATION ==========
+
+// Shortcut keys on the focused task row -> the row control they press
+const ROW_SHORTCUTS = {
+    x: '.task-checkbox',
+    Delete: '.delete-btn',
+    s: '.timer-start',
+    p: '.timer-pause',
+    r: '.timer-reset',
+    e: '.edit-btn'
+};
+
+// Rows in display order
+const getTaskRows = () => $('#taskList > li[data-id]');
+
+// Move the keyboard focus to a row (clamped to the list)
+const focusTaskRow = (index) => {
+    const $rows = getTaskRows();
+    if ($rows.length === 0) return;
+    const $row = $rows.eq(Math.max(0, Math.min($rows.length - 1, index)));
+    focusedTaskId = parseInt($row.attr('data-id'));
+    $rows.attr('tabindex', '-1');
+    $row.attr('tabindex', '0').focus();
+};
+
+// Row the shortcuts act on: the one holding focus, else the remembered one
+const getShortcutRow = (target) => {
+    const $own = $(target).closest('#taskList > li[data-id]');
+    if ($own.length) return $own;
+    return focusedTaskId === null ? $() : $(`#taskList > li[data-id="${focusedTaskId}"]`);
+};
+
+const toggleShortcutHelp = (show = $('#shortcutHelp').prop('hidden')) => {
+    $('#shortcutHelp').prop('hidden', !show);
+    if (show) {
+        $('#shortcutHelpClose').focus();
+    }
+};
+
+// Fields that handle their own keys (and their own undo)
+const isTypingTarget = (target) => $(target).is('input, select, textarea, [contenteditable="true"]');
+
+// Topic: Event Handling - keydown shortcuts (ignored while typing in a field)
+const handleShortcutKey = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+
+    const helpOpen = !$('#shortcutHelp').prop('hidden');
+    if (e.key === '?' || (helpOpen && e.key === 'Escape')) {
+        e.preventDefault();
+        toggleShortcutHelp(!helpOpen);
+        return;
+    }
+    if (helpOpen) return;
+
+    // 1-4 switch between the first four filters
+    if (/^[1-4]$/.test(e.key)) {
+        e.preventDefault();
+        $('.filter-btn').eq(Number(e.key) - 1).trigger('click');
+        return;
+    }
+
+    const $rows = getTaskRows();
+    const $row = getShortcutRow(e.target);
+    const index = $row.length ? $rows.index($row) : -1;
+    // arrows on a drag handle reorder the task instead
+    const onHandle = $(e.target).is('.drag-handle');
+    if (e.key === 'j' || (e.key === 'ArrowDown' && !onHandle)) {
+        e.preventDefault();
+        focusTaskRow(index + 1);
+    } else if (e.key === 'k' || (e.key === 'ArrowUp' && !onHandle)) {
+        e.preventDefault();
+        focusTaskRow(index === -1 ? 0 : index - 1);
+    } else if (ROW_SHORTCUTS[e.key] && $row.length) {
+        const $control = $row.find(ROW_SHORTCUTS[e.key]).first();
+        if ($control.length === 0 || $control.prop('disabled')) return;
+        e.preventDefault();
+        const deleting = e.key === 'Delete';
+        $control.trigger('click');
+        if (deleting) {
+            // keep going from the row that took its place
+            focusTaskRow(index);
+        } else if (e.key !== 'e') {
+            $(`#taskList > li[data-id="${$row.attr('data-id')}"]`).focus();
         }
+    }
+};
 
-        // Native DOM: Set HTML
-        li.innerHTML = `
-            <input type="checkbox" class="task-checkbox" data-id="${task.id}" ${task.completed ? 'checked' : ''}>
-            <span class="task-text">${escapeHtml(task.text)}</span>
-            ${timerHtml}
-            <button class="delete-btn" data-id="${task.id}">Delete</button>
-        `;
-        
-        // Native DOM: Append child
-        taskList.appendChild(li);
+// ========== SETTINGS PANEL ==========
+
+// Topic: DOM Manipulation - Build form fields from the settings schema
+const renderSettingsForm = () => {
+    const $form = $('#settingsForm').empty();
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+        if (!rule.label) return;
+        const $row = $('<div class="setting-row">').appendTo($form);
+        $('<label>').attr('for', `setting-${key}`).text(rule.label).appendTo($row);
+        if (rule.type === 'boolean') {
+            $('<input type="checkbox">')
+                .attr({ id: `setting-${key}`, 'data-key': key })
+                .prop('checked', settings[key])
+                .appendTo($row);
+            return;
+        }
+        if (rule.type === 'url') {
+            $('<input type="url">')
+                .attr({ id: `setting-${key}`, placeholder: 'http://localhost:3000', 'data-key': key })
+                .val(settings[key])
+                .appendTo($row);
+            return;
+        }
+        $('<input type="number">')
+            .attr({ id: `setting-${key}`, min: rule.min, max: rule.max, 'data-key': key })
+            .val(settings[key])
+            .appendTo($row);
     });
-}
+};
 
-// Topic: DOM Manipulation - Update elements with jQuery
-// Update statistics display
-function updateStats() {
-    const { total, completed, remaining } = getStats();
-    
-    // DOM Manipulation: Update text content
-    $('#totalTasks').text(total);
-    $('#completedTasks').text(completed);
-    $('#remainingTasks').text(remaining);
-    
-    // DOM Manipulation: Set element properties
-    $('#clearBtn').prop('disabled', completed === 0);
-    
-    // DOM Manipulation: Toggle visibility based on condition
-    if (total === 0) {
-        $('.stats-section').hide();
-    } else {
-        $('.stats-section').show();
+// Push settings into the parts of the page that display them
+const applySettings = () => {
+    $('#taskInput').attr('placeholder', `Enter a new task (${settings.minTextLength}-${settings.maxTextLength} chars), e.g. Write report 25m tomorrow 3pm !high #work`);
+    $('#sortMode').val(settings.sortMode);
+    configureSync();
+    restartTimerLoop();
+    renderTaskList();
+};
+
+// Topic: Forms - Validate and save the settings form
+const handleSaveSettings = () => {
+    const raw = { ...settings };
+    $('#settingsForm input').each(function() {
+        raw[$(this).data('key')] = this.type === 'checkbox' ? this.checked : $(this).val().trim();
+        clearFormError(this.id);
+    });
+    const { values, errors } = validateSettings(raw);
+    if (Object.keys(errors).length > 0) {
+        Object.entries(errors).forEach(([key, message]) => showFormError(`setting-${key}`, message));
+        return;
     }
-}
+    const askPermission = values.notificationsEnabled && !settings.notificationsEnabled;
+    settings = values;
+    saveSettings();
+    applySettings();
+    showToast('Settings saved');
+    if (askPermission) {
+        requestNotificationPermission();
+    }
+};
 
-// Topic: DOM Manipulation - Update with native DOM
-function updateStatsNative() {
-    const { total, completed, remaining } = getStats();
-    
-    // Native DOM: Update text content
-    document.getElementById('totalTasks').textContent = total;
-    document.getElementById('completedTasks').textContent = completed;
-    document.getElementById('remainingTasks').textContent = remaining;
-    
-    // Native DOM: Set element properties
-    document.getElementById('clearBtn').disabled = (completed === 0);
-}
+// Restore every setting to its schema default
+const handleResetSettings = () => {
+    if (!confirm('Reset all settings to their defaults?')) return;
+    settings = { ...DEFAULT_SETTINGS };
+    saveSettings();
+    renderSettingsForm();
+    applySettings();
+    showToast('Settings reset to defaults');
+};
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
+// Topic: DOM Manipulation - List switcher in the header
+const renderListControls = () => {
+    const $select = $('#listSelect').empty();
+    lists.forEach(list => {
+        $('<option>').val(list.id).text(list.name).appendTo($select);
+    });
+    $select.val(currentListId);
+    $('#deleteListBtn').prop('disabled', lists.length <= 1);
+};
 
-// Format seconds to MM:SS
-function formatTime(totalSeconds) {
-    const s = parseInt(totalSeconds, 10) || 0;
-    const minutes = Math.floor(s / 60);
-    const seconds = s % 60;
-    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-}
+// Redraw everything that shows the current list
+const refreshAfterListChange = () => {
+    renderListControls();
+    renderTaskList();
+    updateStats();
+    updateStorageStats();
+    updateHistoryButtons();
+};
 
-// Check timers periodically; mark tasks as incomplete when timer expires
-function checkTimers() {
-    const now = Date.now();
-    let changed = false;
-    for (const task of tasks) {
-        if (task.timerEnd && !task.completed && !task.incomplete) {
-            if (now >= task.timerEnd) {
-                task.incomplete = true;
-                // clear timerEnd to stop further updates
-                task.timerEnd = null;
-                // set remaining to 0
-                task.timerRemainingSeconds = 0;
-                changed = true;
-                // show toast notification
-                showToast(`Timer expired: ${task.text}`);
-            }
-        }
-    }
-    if (changed) {
-        saveTasks();
-        renderTaskList();
-        updateStats();
-        updateStorageStats();
-    } else {
-        // still refresh timer displays if no change so remaining values update
-        renderTaskList();
+const handleNewList = () => {
+    const name = prompt('Name of the new list:');
+    if (name === null) return;
+    const error = createList(name);
+    if (error) {
+        alert(error);
+        return;
     }
-}
+    refreshAfterListChange();
+    showToast(`Created list "${getCurrentList().name}"`);
+};
 
-// Topic: Forms - Form submission handler
-// Arrow function - handles form submission
-const handleAddTask = () => {
-    const $input = $('#taskInput');
-    const text = $input.val();
-    
-    if (addTask(text)) {
-        $input.val('').focus();
-        renderTaskList();
-        updateStats();
-        updateStorageStats();
+const handleRenameList = () => {
+    const list = getCurrentList();
+    const name = prompt('Rename list:', list.name);
+    if (name === null) return;
+    const error = renameList(list.id, name);
+    if (error) {
+        alert(error);
+        return;
     }
+    renderListControls();
 };
 
-// Topic: DOM Manipulation - Update display with data
-// Update storage stats display
-const updateStorageStats = () => {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    const count = stored ? JSON.parse(stored).length : 0;
-    $('#storageStats').text(count);
+const handleDeleteList = () => {
+    const list = getCurrentList();
+    if (lists.length <= 1) return;
+    if (!confirm(`Delete the list "${list.name}" and its ${tasks.length} task${tasks.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
+    deleteList(list.id);
+    refreshAfterListChange();
+    showToast(`Deleted list "${list.name}"`);
+};
+
+// Topic: Service worker - cache the app shell for offline use (needs http/https)
+const registerServiceWorker = () => {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('✓ Service worker registered'))
+        .catch(error => console.error('Service worker registration failed:', error));
 };
 
-// Initialize app
-const initApp = () => {
+// Read everything from storage and draw the page
+const loadApp = () => {
+    loadSettings();
+    renderSettingsForm();
+    loadAwayExpired();
+    renderAwaySummary();
+    loadLists();
     loadTasks();
+    renderListControls();
+    loadHistory();
+    updateHistoryButtons();
     renderTaskList();
     updateStats();
     updateStorageStats();
-    // Start timer checks every second to update remaining times and expire timers
-    // store interval id in window so it's easy to clear during testing if needed
-    if (!window.__taskTimerInterval) {
-        window.__taskTimerInterval = setInterval(checkTimers, 1000);
-    }
+    // Apply settings (placeholder, sort dropdown) and start timer checks at
+    // settings.timerInterval to update remaining times and expire timers
+    // (see TIMER LOOP)
+    applySettings();
 };
 
+// Initialize app once the task store is open. If that goes wrong, start
+// again on plain localStorage rather than with an empty page.
+const initApp = () => openTaskStore()
+    .then(loadApp)
+    .catch(error => {
+        console.error('Error starting the app - falling back to localStorage:', error);
+        taskDb = null;
+        localTaskStore = localStorageAdapter;
+        taskStore = localTaskStore;
+        loadApp();
+    });
+
 
 // ========== JQUERY EVENT HANDLERS ==========
 
 // Topic: Event Handling - Document ready
+// Handlers are bound once initApp has loaded the stored data, so a click or
+// Enter before that cannot save an empty list over the stored one
 $(document).ready(() => {
-    initApp();
+    registerServiceWorker();
+    initApp().then(bindEventHandlers);
+});
 
+// Topic: Event Handling - Bind all handlers
+function bindEventHandlers() {
     // Topic: Event Handling - Click event on static element
     // Add task button click
     $('#addBtn').on('click', handleAddTask);
 
-    // Topic: Event Handling - Keyboard event (Keypress)
+    // Topic: Event Handling - Keyboard event (Keydown)
     // Add task on Enter key
-    $('#taskInput').on('keypress', (e) => {
-        // e.which = 13 is the Enter key code
-        if (e.which === 13) {
+    $('#taskInput').on('keydown', (e) => {
+        // e.key names the key; the old keypress/e.which codes are deprecated
+        if (e.key === 'Enter') {
+            e.preventDefault();
             handleAddTask();
         }
     });
@@ -580,6 +4404,84 @@ $(document).ready(() => {
         renderTaskList();
         updateStats();
         updateStorageStats();
+        showToast('Task deleted', { label: 'Undo', onClick: handleUndo });
+    });
+
+    // Topic: Event Handling - Double-click event with delegation
+    // Inline editing - double-click the text or use the Edit button
+    $(document).on('dblclick', '.task-text', function() {
+        startEditing(parseInt($(this).data('id')));
+    });
+
+    $(document).on('click', '.edit-btn', function() {
+        startEditing(parseInt($(this).data('id')));
+    });
+
+    $(document).on('click', '.save-btn', function() {
+        saveEditing(parseInt($(this).data('id')));
+    });
+
+    $(document).on('click', '.cancel-btn', cancelEditing);
+
+    // Enter saves, Escape cancels
+    $(document).on('keydown', '.edit-input, .edit-timer, .edit-due', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveEditing(parseInt($(this).data('id')));
+        } else if (e.key === 'Escape') {
+            cancelEditing();
+        }
+    });
+
+    $(document).on('focus', '.edit-input', function() {
+        clearFormError(this.id);
+    });
+
+    // Subtasks - expand/collapse, add, check and delete
+    $(document).on('click', '.subtask-toggle', function() {
+        const id = parseInt($(this).data('id'));
+        if (expandedTaskIds.has(id)) {
+            expandedTaskIds.delete(id);
+        } else {
+            expandedTaskIds.add(id);
+        }
+        renderTaskList();
+        $(`#subtaskInput-${id}`).focus();
+    });
+
+    const handleAddSubtask = (id) => {
+        const $input = $(`#subtaskInput-${id}`);
+        if (addSubtask(id, $input.val())) {
+            $input.val('');
+            renderTaskList();
+            updateStats();
+            updateStorageStats();
+            $(`#subtaskInput-${id}`).focus();
+        }
+    };
+
+    $(document).on('click', '.subtask-add', function() {
+        handleAddSubtask(parseInt($(this).data('id')));
+    });
+
+    $(document).on('keydown', '.subtask-input', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleAddSubtask(parseInt($(this).data('id')));
+        }
+    });
+
+    $(document).on('change', '.subtask-checkbox', function() {
+        toggleSubtask(parseInt($(this).data('task-id')), parseInt($(this).data('sub-id')));
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+    });
+
+    $(document).on('click', '.subtask-delete', function() {
+        deleteSubtask(parseInt($(this).data('task-id')), parseInt($(this).data('sub-id')));
+        renderTaskList();
+        updateStorageStats();
     });
 
     // Timer control handlers (delegated)
@@ -604,6 +4506,152 @@ $(document).ready(() => {
         updateStorageStats();
     });
 
+    // Topic: Event Handling - Toggle event on <details>
+    // Build the time report when it is opened
+    $('#timeReportDetails').on('toggle', function() {
+        if (this.open) {
+            renderTimeReport();
+        }
+    });
+
+    $('#dashboardDetails').on('toggle', function() {
+        if (this.open) {
+            renderDashboard();
+        }
+    });
+
+    // Back online: send waiting changes and fetch the server's
+    $(window).on('online', () => {
+        clearTimeout(syncRetryTimeout);
+        syncRetryTimeout = null;
+        flushSyncQueue();
+        pullTasks();
+    });
+
+    // Topic: Event Handling - Changes saved by other tabs
+    $(window).on('storage', (event) => handleStorageChange(event.originalEvent));
+    $(window).on('pagehide', releaseTimerLead);
+    $(document).on('visibilitychange', handleVisibilityChange);
+
+    // "While you were away": jump to a task (and drop it from the summary), or dismiss all
+    $('#awaySummaryList').on('click', '.away-task', function() {
+        const listId = $(this).attr('data-list');
+        const id = parseInt($(this).attr('data-id'));
+        setAwayExpired(awayExpired.filter(entry => !(entry.listId === listId && entry.id === id)));
+        focusTask(listId, id);
+    });
+    $('#awaySummaryDismiss').on('click', dismissAwaySummary);
+
+    // List switcher and list management
+    $('#listSelect').on('change', function() {
+        if (switchList($(this).val())) {
+            refreshAfterListChange();
+        }
+    });
+    $('#newListBtn').on('click', handleNewList);
+    $('#renameListBtn').on('click', handleRenameList);
+    $('#deleteListBtn').on('click', handleDeleteList);
+
+    // Move a task to another list
+    $(document).on('change', '.move-list-select', function() {
+        const id = parseInt($(this).data('id'));
+        const listId = $(this).val();
+        if (!listId) return;
+        const error = moveTaskToList(id, listId);
+        if (error) {
+            $(this).val('');
+            showToast(error);
+            return;
+        }
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+        showToast(`Moved to "${lists.find(l => l.id === listId).name}"`);
+    });
+
+    // Multi-select mode and batch actions
+    $('#selectModeBtn').on('click', () => {
+        selectMode = !selectMode;
+        if (!selectMode) clearSelection();
+        renderTaskList();
+    });
+
+    $(document).on('click', '.select-checkbox', function(e) {
+        selectTask(parseInt($(this).data('id')), this.checked, e.shiftKey);
+        renderTaskList();
+    });
+
+    $('#batchSelectAll').on('click', () => {
+        selectAllShown();
+        renderTaskList();
+    });
+
+    $('#batchClear').on('click', () => {
+        clearSelection();
+        renderTaskList();
+    });
+
+    $('#batchBar').on('click', '[data-batch]', function() {
+        const count = runBatchAction($(this).data('batch'));
+        refreshAfterBatch(count > 0 ? `${BATCH_ACTIONS[$(this).data('batch')].label}: ${count} task${count === 1 ? '' : 's'}` : null);
+    });
+
+    $('#batchDelete').on('click', () => {
+        const count = selectedTaskIds.size;
+        if (count === 0 || !confirm(`Delete ${count} selected task${count === 1 ? '' : 's'}?`)) return;
+        deleteSelected();
+        refreshAfterBatch(`Deleted ${count} task${count === 1 ? '' : 's'}`);
+    });
+
+    $('#batchPriority').on('change', function() {
+        const priority = parseInt($(this).val(), 10);
+        $(this).val('');
+        if (!PRIORITIES[priority]) return;
+        const count = setSelectedPriority(priority);
+        refreshAfterBatch(count > 0 ? `Set ${PRIORITIES[priority].label} on ${count} task${count === 1 ? '' : 's'}` : null);
+    });
+
+    const addBatchTags = () => {
+        const $input = $('#batchTags');
+        const count = addTagsToSelected($input.val());
+        $input.val('');
+        refreshAfterBatch(count > 0 ? `Tagged ${count} task${count === 1 ? '' : 's'}` : null);
+    };
+    $('#batchTagBtn').on('click', addBatchTags);
+    $('#batchTags').on('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addBatchTags();
+        }
+    });
+
+    // Priority badge cycles the priority
+    $(document).on('click', '.priority-badge', function() {
+        cyclePriority(parseInt($(this).data('id')));
+        renderTaskList();
+    });
+
+    // Repeat controls next to the task input
+    $('#taskRecurrence').on('change', updateRecurrenceInputs);
+
+    // Stop a task from repeating
+    $(document).on('click', '.recurrence-badge', function() {
+        const id = parseInt($(this).data('id'));
+        if (confirm('Stop repeating this task? Existing copies are kept.')) {
+            stopRecurrence(id);
+            renderTaskList();
+        }
+    });
+
+    // Pomodoro mode on/off
+    $(document).on('click', '.pomodoro-toggle', function() {
+        const id = parseInt($(this).data('id'));
+        togglePomodoro(id);
+        renderTaskList();
+        updateStats();
+        updateStorageStats();
+    });
+
     // Topic: Event Handling - Change event with delegation
     // Toggle task completion - Checkbox change event
     $(document).on('change', '.task-checkbox', function() {
@@ -624,6 +4672,8 @@ $(document).ready(() => {
         $(this).addClass('active');
         // Get data attribute value
         currentFilter = $(this).data('filter');
+        // drop any open editor - its row may not be in the new view
+        editingTaskId = null;
         renderTaskList();
     });
 
@@ -632,29 +4682,168 @@ $(document).ready(() => {
     $('#clearBtn').on('click', () => {
         // Using confirm() for user confirmation
         if (confirm('Delete all completed tasks?')) {
+            const { completed } = getStats();
             clearCompleted();
             renderTaskList();
             updateStats();
             updateStorageStats();
+            showToast(`${completed} completed task${completed === 1 ? '' : 's'} deleted`, { label: 'Undo', onClick: handleUndo });
         }
     });
 
-    // Topic: Event Handling - Input event (real-time)
-    // Character counter example
-    $('#taskInput').on('input', function() {
-        const length = $(this).val().length;
-        // Show character count (can be used for dynamic feedback)
-        console.log(`Characters entered: ${length}/200`);
+    // Topic: Event Handling - Drag and drop (HTML5 drag events)
+    // Reorder by dragging rows; the drop target's half decides before/after
+    $(document).on('dragstart', '.task-list li[draggable]', function(e) {
+        draggingTaskId = parseInt($(this).data('id'));
+        e.originalEvent.dataTransfer.effectAllowed = 'move';
+        e.originalEvent.dataTransfer.setData('text/plain', String(draggingTaskId));
+        $(this).addClass('dragging');
+    });
+
+    $(document).on('dragover', '.task-list li[draggable]', function(e) {
+        if (draggingTaskId === null) return;
+        e.preventDefault();
+        const rect = this.getBoundingClientRect();
+        const after = e.originalEvent.clientY > rect.top + rect.height / 2;
+        $('.task-list li').removeClass('drop-before drop-after');
+        $(this).addClass(after ? 'drop-after' : 'drop-before');
+    });
+
+    $(document).on('drop', '.task-list li[draggable]', function(e) {
+        if (draggingTaskId === null) return;
+        e.preventDefault();
+        moveTask(draggingTaskId, parseInt($(this).data('id')), $(this).hasClass('drop-after'));
+    });
+
+    $(document).on('dragend', '.task-list li[draggable]', () => {
+        draggingTaskId = null;
+        // unchanged rows are kept by renderTaskList, so drop the drag styling here
+        $('.task-list li').removeClass('dragging drop-before drop-after');
+        renderTaskList();
+    });
+
+    // Topic: Event Handling - Keyboard reordering for accessibility
+    // Arrow Up/Down on a focused drag handle moves the task
+    $(document).on('keydown', '.drag-handle', function(e) {
+        const direction = e.key === 'ArrowUp' ? -1 : (e.key === 'ArrowDown' ? 1 : 0);
+        if (direction === 0) return;
+        e.preventDefault();
+        const id = parseInt($(this).data('id'));
+        if (moveTaskByStep(id, direction)) {
+            renderTaskList();
+            $(`.drag-handle[data-id="${id}"]`).focus();
+        }
     });
 
+    // Topic: Event Handling - Delegated click on tag chips
+    // Clicking a tag (in the bar or on a task) toggles the tag filter
+    $(document).on('click', '.tag-chip', function() {
+        const tag = $(this).attr('data-tag');
+        currentTagFilter = currentTagFilter === tag ? null : tag;
+        editingTaskId = null;
+        renderTaskList();
+    });
+
+    // Sort dropdown - remembered in settings
+    $('#sortMode').on('change', function() {
+        settings.sortMode = $(this).val();
+        saveSettings();
+        renderTaskList();
+    });
+
+    // Topic: Event Handling - Input event (real-time search)
+    $('#searchInput').on('input', function() {
+        currentSearch = $(this).val();
+        editingTaskId = null;
+        renderTaskList();
+    });
+
+    // Escape clears the search
+    $('#searchInput').on('keydown', function(e) {
+        if (e.key === 'Escape') {
+            $(this).val('').trigger('input');
+        }
+    });
+
+    // Tag chooser - append the picked #tag to the task input
+    $('#tagPicker').on('change', function() {
+        const tag = $(this).val();
+        if (tag) {
+            const $input = $('#taskInput');
+            const current = $input.val().replace(/\s+$/, '');
+            $input.val(`${current}${current ? ' ' : ''}#${tag} `).focus();
+        }
+        $(this).val('');
+    });
+
+    // Settings panel
+    $('#saveSettingsBtn').on('click', handleSaveSettings);
+    $('#resetSettingsBtn').on('click', handleResetSettings);
+    $(document).on('focus', '#settingsForm input', function() {
+        clearFormError(this.id);
+    });
+
+    // Export / Import
+    $('#exportJsonBtn').on('click', exportTasksJson);
+    $('#exportCsvBtn').on('click', exportTasksCsv);
+    $('#importBtn').on('click', () => $('#importFile').trigger('click'));
+
+    // Topic: Event Handling - Change event on a file input
+    $('#importFile').on('change', function() {
+        const file = this.files[0];
+        if (file) {
+            handleImportFile(file);
+        }
+        // allow picking the same file again
+        $(this).val('');
+    });
+
+    // Undo/Redo buttons
+    $('#undoBtn').on('click', handleUndo);
+    $('#redoBtn').on('click', handleRedo);
+
+    // Keyboard navigation and task shortcuts (press ? for the list)
+    $(document).on('keydown', handleShortcutKey);
+    // clicking or tabbing into a row makes it the shortcut target
+    $(document).on('focusin', '#taskList > li[data-id]', function() {
+        focusedTaskId = parseInt($(this).attr('data-id'));
+    });
+    $('#shortcutHelpBtn').on('click', () => toggleShortcutHelp(true));
+    $('#shortcutHelpClose').on('click', () => toggleShortcutHelp(false));
+    // clicking the backdrop closes the help
+    $('#shortcutHelp').on('click', function(e) {
+        if (e.target === this) toggleShortcutHelp(false);
+    });
+
+    // Topic: Event Handling - Keyboard shortcuts on the document
+    // Ctrl+Z undo, Ctrl+Shift+Z (or Ctrl+Y) redo; Cmd on macOS
+    $(document).on('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // leave text fields to their native undo
+        if (isTypingTarget(e.target)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    });
+
+    // Topic: Event Handling - Input event (real-time)
+    // Quick-add preview under the input
+    $('#taskInput').on('input', renderQuickAddPreview);
+
     // Topic: Event Handling - Mouseover/Mouseout
-    // Add hover effects (optional enhancement)
+    // Add hover effects (optional enhancement). A class, not an inline
+    // background, so selected and flashed rows keep their own colour.
     $(document).on('mouseover', '.task-list li', function() {
-        $(this).css('background-color', '#f0f0f0');
+        $(this).addClass('hover');
     }).on('mouseout', '.task-list li', function() {
-        $(this).css('background-color', '#f9f9f9');
+        $(this).removeClass('hover');
     });
-});
+}
 
 
 // ========== ADDITIONAL ARRAY OPERATIONS EXAMPLES ==========
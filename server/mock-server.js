@@ -0,0 +1,166 @@
+// ==========================================
+// Mock sync server for the Task Manager
+// Serves the app and a small in-memory /tasks REST API, so the sync path
+// can be tried without a real backend:
+//
+//   node server/mock-server.js            -> http://localhost:3000
+//   PORT=4000 node server/mock-server.js
+//   FAIL_RATE=0.3 node server/mock-server.js   (30% of API calls answer 503)
+//
+// Then enter http://localhost:3000 as "Sync server URL" in the settings.
+// Data is lost when the server stops.
+// ==========================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3000;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const APP_ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png'
+};
+
+// listId -> Map(taskId -> { task, updatedAt, deletedAt }), both the changedAt of
+// the change that set them, so changes queued offline keep their order.
+// Deleted tasks keep a tombstone so an older change cannot bring them back.
+const lists = new Map();
+
+const getList = (listId) => {
+    if (!lists.has(listId)) lists.set(listId, new Map());
+    return lists.get(listId);
+};
+
+const send = (res, status, data = null) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Expose-Headers': 'X-Server-Time',
+        'X-Server-Time': String(Date.now())
+    });
+    res.end(data === null ? '' : JSON.stringify(data));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+});
+
+// The change is applied only when it is at least as new as the stored copy
+const isStale = (record, changedAt) => record && (record.deletedAt || record.updatedAt) > changedAt;
+
+// Live copy of a record for 409 answers (null when deleted)
+const currentTask = (record) => record && !record.deletedAt ? record.task : null;
+
+const handleApi = (req, res, url, body) => {
+    const listId = url.searchParams.get('list');
+    if (!listId) return send(res, 400, { error: 'list is required' });
+    const list = getList(listId);
+    const match = url.pathname.match(/^\/tasks(?:\/(\d+))?$/);
+    if (!match) return send(res, 404, { error: 'not found' });
+    const taskId = match[1] ? Number(match[1]) : null;
+    const changedAt = Number(body.changedAt) || Date.now();
+    const record = taskId === null ? null : list.get(taskId);
+
+    if (req.method === 'GET' && taskId === null) {
+        const tasks = [...list.values()].filter(r => !r.deletedAt).map(r => r.task);
+        return send(res, 200, { tasks });
+    }
+
+    if (req.method === 'POST' && taskId === null) {
+        const task = body.task;
+        if (!task || !Number.isFinite(task.id)) return send(res, 400, { error: 'task with a numeric id is required' });
+        const existing = list.get(task.id);
+        if (existing && !existing.deletedAt && existing.task.createdAt !== task.createdAt) {
+            // another client already uses this id for a different task
+            return send(res, 409, { reason: 'id-taken', task: existing.task });
+        }
+        if (isStale(existing, changedAt)) return send(res, 409, { task: currentTask(existing) });
+        list.set(task.id, { task, updatedAt: changedAt, deletedAt: null });
+        return send(res, existing && !existing.deletedAt ? 200 : 201, { task });
+    }
+
+    if (req.method === 'PATCH' && taskId !== null) {
+        if (!record || record.deletedAt && !isStale(record, changedAt)) {
+            // unknown, or deleted before this (newer) change: client sends the whole task
+            return send(res, 404, { error: 'not found' });
+        }
+        if (isStale(record, changedAt)) return send(res, 409, { task: currentTask(record) });
+        record.task = { ...record.task, ...(body.fields || {}), id: taskId };
+        record.updatedAt = changedAt;
+        return send(res, 200, { task: record.task });
+    }
+
+    if (req.method === 'DELETE' && taskId !== null) {
+        if (!record || record.deletedAt) return send(res, 404, { error: 'not found' });
+        if (isStale(record, changedAt)) return send(res, 409, { task: currentTask(record) });
+        record.deletedAt = changedAt;
+        return send(res, 204);
+    }
+
+    return send(res, 405, { error: 'method not allowed' });
+};
+
+const serveStatic = (res, pathname) => {
+    const file = path.normalize(path.join(APP_ROOT, pathname === '/' ? 'index.html' : pathname));
+    // only files inside the app folder, and not the server itself
+    const relative = path.relative(APP_ROOT, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep)[0] === 'server') {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (!url.pathname.startsWith('/tasks')) {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch (error) {
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+        serveStatic(res, pathname);
+        return;
+    }
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (Math.random() < FAIL_RATE) return send(res, 503, { error: 'simulated failure' });
+
+    readBody(req)
+        .then(body => handleApi(req, res, url, body))
+        .catch(() => send(res, 400, { error: 'invalid JSON' }));
+});
+
+server.listen(PORT, () => {
+    console.log(`Task Manager mock server on http://localhost:${PORT} (FAIL_RATE=${FAIL_RATE})`);
+});
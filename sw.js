@@ -0,0 +1,65 @@
+// ==========================================
+// Service worker - keeps a copy of the app shell so the Task Manager
+// starts without a network connection. Online, the network answers first,
+// so a new script.js / index.html / style.css is picked up on the next load.
+// Bump CACHE_VERSION when the APP_SHELL list itself changes.
+// ==========================================
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `task-manager-${CACHE_VERSION}`;
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'vendor/jquery-3.6.0.min.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Install: download the app shell into a fresh cache
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Activate: drop caches left by older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('task-manager-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Fetch: network first, refreshing the cached copy; the cache answers when
+// offline. Pages fall back to the cached index.html.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.match(request, { ignoreSearch: true }).then(cached => {
+                        // only app shell files are kept, not API answers
+                        if (cached) caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    });
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => {
+                if (cached) return cached;
+                if (request.mode === 'navigate') return caches.match('index.html');
+                throw new Error(`Offline and not cached: ${request.url}`);
+            }))
+    );
+});